@@ -0,0 +1,719 @@
+/* analytics.js — pure analysis helpers used by script.js and pipeline.js (no DOM access)
+   - rfm: per-customer Recency / Frequency / Monetary with quintile scores and named segments
+   - kmeans: k-means++ clustering on standardised feature vectors
+   - summarizeSegments: size, revenue share and average R/F/M per segment
+   - cohortRetention: first-purchase-month cohorts, customer / revenue retention, repeat rate
+   - A/B tests: Wilson intervals, two-proportion z-test, Bayesian P(beat control), sample size and power
+   - Forecasting: additive Holt-Winters and linear trend + seasonal index, prediction intervals, backtest
+   - detectAnomalies: rolling z-score or IQR fences over a trailing window
+   - pivotTable: rows x columns grouping with sum/avg/count/distinct/min/max/median, subtotals and totals
+   - compileExpression: a small, sandboxed expression language for calculated fields
+*/
+
+(function (root) {
+  const DAY_MS = 86400000;
+  const daysBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / DAY_MS);
+  const mean = (values) => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : 0);
+
+  /* ========== RFM ========== */
+
+  // Checked in order; fm is the rounded mean of the F and M scores
+  const RFM_SEGMENTS = [
+    { name: 'Champions', test: (r, fm) => r >= 4 && fm >= 4 },
+    { name: 'Loyal Customers', test: (r, fm) => r >= 3 && fm >= 4 },
+    { name: "Can't Lose Them", test: (r, fm) => r === 1 && fm >= 4 },
+    { name: 'At Risk', test: (r, fm) => r <= 2 && fm >= 3 },
+    { name: 'Potential Loyalists', test: (r, fm) => r >= 4 && fm >= 2 },
+    { name: 'New Customers', test: (r) => r >= 4 },
+    { name: 'Need Attention', test: (r) => r === 3 },
+    { name: 'Hibernating', test: (r) => r === 2 },
+    { name: 'Lost', test: () => true },
+  ];
+
+  // 1..5 by position of the first equal value in the sorted column, so ties share a score
+  function quintileScorer(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const n = sorted.length;
+    return (v) => {
+      let lo = 0, hi = n;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] < v) lo = mid + 1;
+        else hi = mid;
+      }
+      return Math.min(5, 1 + Math.floor((5 * lo) / n));
+    };
+  }
+
+  // rows: standardized rows; recency is counted in days back from the latest date in the data
+  function rfm(rows) {
+    const byCustomer = new Map();
+    let refDate = '';
+    rows.forEach(r => {
+      if (!r.date || !r.customer_id || r.customer_id === 'UNKNOWN') return;
+      if (r.date > refDate) refDate = r.date;
+      let c = byCustomer.get(r.customer_id);
+      if (!c) byCustomer.set(r.customer_id, c = { customer_id: r.customer_id, last: r.date, frequency: 0, monetary: 0 });
+      if (r.date > c.last) c.last = r.date;
+      c.frequency += Math.max(1, Number(r.orders) || 0);
+      c.monetary += Number(r.sales) || 0;
+    });
+    const customers = [...byCustomer.values()].map(c => ({
+      customer_id: c.customer_id,
+      last_purchase: c.last,
+      recency: daysBetween(c.last, refDate),
+      frequency: c.frequency,
+      monetary: Math.round(c.monetary * 100) / 100,
+    }));
+    const rScore = quintileScorer(customers.map(c => c.recency));
+    const fScore = quintileScorer(customers.map(c => c.frequency));
+    const mScore = quintileScorer(customers.map(c => c.monetary));
+    customers.forEach(c => {
+      c.r = 6 - rScore(c.recency); // fewer days since the last purchase scores higher
+      c.f = fScore(c.frequency);
+      c.m = mScore(c.monetary);
+      c.rfm = `${c.r}${c.f}${c.m}`;
+      const fm = Math.round((c.f + c.m) / 2);
+      c.segment = RFM_SEGMENTS.find(s => s.test(c.r, fm)).name;
+    });
+    return { refDate, customers };
+  }
+
+  /* ========== K-MEANS ========== */
+
+  // Small seeded PRNG so the same data always gives the same clusters
+  function mulberry32(seed) {
+    return () => {
+      seed = (seed + 0x6D2B79F5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  const dist2 = (a, b) => a.reduce((s, v, i) => s + (v - b[i]) ** 2, 0);
+
+  // Scale each column to mean 0 / sd 1 so no feature dominates the distance
+  function standardize(points) {
+    const dims = points[0]?.length || 0;
+    const stats = Array.from({ length: dims }, (_, d) => {
+      const col = points.map(p => p[d]);
+      const m = mean(col);
+      const sd = Math.sqrt(mean(col.map(v => (v - m) ** 2))) || 1;
+      return { m, sd };
+    });
+    return points.map(p => p.map((v, d) => (v - stats[d].m) / stats[d].sd));
+  }
+
+  // Returns { labels, centroids, inertia }; best of `restarts` k-means++ runs
+  function kmeans(points, k, { restarts = 5, maxIter = 100, seed = 42 } = {}) {
+    k = Math.max(1, Math.min(k, points.length));
+    const rand = mulberry32(seed);
+    let best = null;
+    for (let run = 0; run < restarts; run++) {
+      const centroids = [points[Math.floor(rand() * points.length)]];
+      while (centroids.length < k) {
+        const d = points.map(p => Math.min(...centroids.map(c => dist2(p, c))));
+        const total = d.reduce((s, v) => s + v, 0);
+        if (!total) break; // fewer distinct points than k
+        let pick = rand() * total, i = 0;
+        while (pick > d[i] && i < d.length - 1) pick -= d[i++];
+        centroids.push(points[i]);
+      }
+      const labels = new Array(points.length).fill(0);
+      for (let iter = 0; iter < maxIter; iter++) {
+        let moved = false;
+        points.forEach((p, i) => {
+          let nearest = 0;
+          centroids.forEach((c, j) => {
+            if (dist2(p, c) < dist2(p, centroids[nearest])) nearest = j;
+          });
+          if (labels[i] !== nearest) moved = true;
+          labels[i] = nearest;
+        });
+        centroids.forEach((c, j) => {
+          const members = points.filter((_, i) => labels[i] === j);
+          if (members.length) centroids[j] = c.map((_, d) => mean(members.map(p => p[d])));
+        });
+        if (!moved && iter > 0) break;
+      }
+      const inertia = points.reduce((s, p, i) => s + dist2(p, centroids[labels[i]]), 0);
+      if (!best || inertia < best.inertia) best = { labels, centroids, inertia };
+    }
+    return best;
+  }
+
+  const count = (labels, l) => labels.filter(x => x === l).length;
+
+  // Cluster customers on log-scaled R/F/M; clusters are numbered by average spend, highest first
+  function clusterCustomers(customers, k) {
+    if (!customers.length) return customers;
+    const points = standardize(customers.map(c => [Math.log1p(c.recency), Math.log1p(c.frequency), Math.log1p(Math.max(0, c.monetary))]));
+    const { labels } = kmeans(points, k);
+    const spend = new Map();
+    labels.forEach((l, i) => spend.set(l, (spend.get(l) || 0) + customers[i].monetary));
+    const order = [...spend.keys()].sort((a, b) => spend.get(b) / count(labels, b) - spend.get(a) / count(labels, a));
+    return customers.map((c, i) => ({ ...c, cluster: `Cluster ${order.indexOf(labels[i]) + 1}` }));
+  }
+
+  /* ========== SUMMARY ========== */
+
+  // key: 'segment' or 'cluster'; sorted by revenue, largest first
+  function summarizeSegments(customers, key = 'segment') {
+    const groups = new Map();
+    customers.forEach(c => {
+      if (!groups.has(c[key])) groups.set(c[key], []);
+      groups.get(c[key]).push(c);
+    });
+    const revenue = customers.reduce((s, c) => s + c.monetary, 0);
+    return [...groups.entries()].map(([name, list]) => {
+      const sales = list.reduce((s, c) => s + c.monetary, 0);
+      return {
+        name,
+        customers: list.length,
+        share: list.length / customers.length,
+        revenue: sales,
+        revenueShare: revenue ? sales / revenue : 0,
+        recency: mean(list.map(c => c.recency)),
+        frequency: mean(list.map(c => c.frequency)),
+        monetary: sales / list.length,
+      };
+    }).sort((a, b) => b.revenue - a.revenue);
+  }
+
+  /* ========== COHORTS ========== */
+
+  const monthIndex = (iso) => Number(iso.slice(0, 4)) * 12 + Number(iso.slice(5, 7)) - 1;
+  const monthLabel = (idx) => `${Math.floor(idx / 12)}-${String(idx % 12 + 1).padStart(2, '0')}`;
+
+  // Customers grouped by the month of their first purchase. cells[k] covers the k-th month after it:
+  // { customers: cohort members buying that month, revenue: what they spent }.
+  // A repeat customer bought on two or more different days.
+  function cohortRetention(rows) {
+    const byCustomer = new Map();
+    let last = -Infinity;
+    rows.forEach(r => {
+      if (!r.date || !r.customer_id || r.customer_id === 'UNKNOWN') return;
+      let c = byCustomer.get(r.customer_id);
+      if (!c) byCustomer.set(r.customer_id, c = { dates: new Set(), months: new Map() });
+      c.dates.add(r.date);
+      const m = monthIndex(r.date);
+      if (m > last) last = m;
+      c.months.set(m, (c.months.get(m) || 0) + (Number(r.sales) || 0));
+    });
+    const cohorts = new Map();
+    let repeaters = 0, gapDays = 0, gaps = 0;
+    byCustomer.forEach(c => {
+      const dates = [...c.dates].sort();
+      if (dates.length > 1) {
+        repeaters++;
+        gapDays += daysBetween(dates[0], dates[dates.length - 1]);
+        gaps += dates.length - 1;
+      }
+      const first = monthIndex(dates[0]);
+      let cohort = cohorts.get(first);
+      if (!cohort) cohorts.set(first, cohort = { month: monthLabel(first), size: 0, cells: [] });
+      cohort.size++;
+      c.months.forEach((revenue, m) => {
+        const cell = cohort.cells[m - first] || (cohort.cells[m - first] = { customers: 0, revenue: 0 });
+        cell.customers++;
+        cell.revenue += revenue;
+      });
+    });
+    const list = [...cohorts.keys()].sort((a, b) => a - b).map(k => cohorts.get(k));
+    list.forEach(cohort => {
+      // months after the last data month can't be observed; earlier gaps are real zeros
+      const span = last - monthIndex(cohort.month + '-01') + 1;
+      for (let k = 0; k < span; k++) cohort.cells[k] = cohort.cells[k] || { customers: 0, revenue: 0 };
+    });
+    return {
+      cohorts: list,
+      maxOffset: Math.max(0, ...list.map(c => c.cells.length - 1)),
+      customers: byCustomer.size,
+      repeatRate: byCustomer.size ? repeaters / byCustomer.size : 0,
+      avgDaysBetween: gaps ? gapDays / gaps : null,
+    };
+  }
+
+  /* ========== DISTRIBUTIONS ========== */
+
+  // Standard normal CDF (Abramowitz & Stegun 26.2.17, |error| < 7.5e-8)
+  function normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    const tail = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI) * poly;
+    return z >= 0 ? 1 - tail : tail;
+  }
+
+  // Inverse standard normal CDF (Acklam's rational approximation)
+  function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+    if (p < low || p > 1 - low) {
+      const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+      const x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+      return p < low ? x : -x;
+    }
+    const q = p - 0.5, r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  // log Γ(x) via the Lanczos approximation (g = 7)
+  function logGamma(x) {
+    const g = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61503916999185,
+      12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let a = g[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) a += g[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+  }
+
+  const logBeta = (a, b) => logGamma(a) + logGamma(b) - logGamma(a + b);
+
+  /* ========== A/B TESTS ========== */
+
+  // Wilson score interval for conversions / n at the given confidence level
+  function wilsonInterval(conversions, n, confidence = 0.95) {
+    if (!n) return { low: 0, high: 0 };
+    const z = normalQuantile(1 - (1 - confidence) / 2);
+    const p = conversions / n;
+    const denom = 1 + z * z / n;
+    const centre = (p + z * z / (2 * n)) / denom;
+    const half = (z / denom) * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n));
+    return { low: Math.max(0, centre - half), high: Math.min(1, centre + half) };
+  }
+
+  // Pooled two-proportion z-test, two-sided; a is the control
+  function twoProportionTest(a, b) {
+    const pooled = (a.conversions + b.conversions) / (a.visitors + b.visitors);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / a.visitors + 1 / b.visitors));
+    if (!se) return { z: 0, p: 1 };
+    const z = (b.conversions / b.visitors - a.conversions / a.visitors) / se;
+    return { z, p: 2 * (1 - normalCdf(Math.abs(z))) };
+  }
+
+  // P(rate_b > rate_a) with uniform Beta(1, 1) priors, exact sum (Evan Miller's closed form)
+  function probabilityToBeat(a, b) {
+    const aA = a.conversions + 1, bA = a.visitors - a.conversions + 1;
+    const aB = b.conversions + 1, bB = b.visitors - b.conversions + 1;
+    let total = 0;
+    for (let i = 0; i < aB; i++) {
+      total += Math.exp(logBeta(aA + i, bA + bB) - Math.log(bB + i) - logBeta(1 + i, bB) - logBeta(aA, bA));
+    }
+    return Math.min(1, Math.max(0, total));
+  }
+
+  // variants: [{ name, visitors, conversions }], the first one is the control
+  function analyzeAbTest(variants, confidence = 0.95) {
+    const control = variants[0];
+    const baseRate = control.visitors ? control.conversions / control.visitors : 0;
+    return variants.map((v, i) => {
+      const rate = v.visitors ? v.conversions / v.visitors : 0;
+      const result = { ...v, rate, ci: wilsonInterval(v.conversions, v.visitors, confidence) };
+      if (i === 0 || !v.visitors || !control.visitors) return result;
+      const { z, p } = twoProportionTest(control, v);
+      return {
+        ...result,
+        lift: baseRate ? rate / baseRate - 1 : null,
+        z,
+        p,
+        significant: p < 1 - confidence,
+        probBeat: probabilityToBeat(control, v),
+      };
+    });
+  }
+
+  // Visitors per variant to detect a relative lift `mde` over `baseline` (two-sided test)
+  function sampleSize(baseline, mde, { alpha = 0.05, power = 0.8 } = {}) {
+    const p1 = baseline, p2 = baseline * (1 + mde);
+    if (p1 <= 0 || p2 >= 1 || p1 === p2) return null;
+    const za = normalQuantile(1 - alpha / 2), zb = normalQuantile(power);
+    const pBar = (p1 + p2) / 2;
+    const n = (za * Math.sqrt(2 * pBar * (1 - pBar)) + zb * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2))) ** 2 / (p2 - p1) ** 2;
+    return Math.ceil(n);
+  }
+
+  // Power of a two-sided test with n visitors per variant for the same lift
+  function testPower(n, baseline, mde, alpha = 0.05) {
+    const p1 = baseline, p2 = baseline * (1 + mde);
+    if (!n || p1 <= 0 || p2 >= 1 || p1 === p2) return null;
+    const za = normalQuantile(1 - alpha / 2);
+    const pBar = (p1 + p2) / 2;
+    const se0 = Math.sqrt(2 * pBar * (1 - pBar) / n);
+    const se1 = Math.sqrt((p1 * (1 - p1) + p2 * (1 - p2)) / n);
+    return normalCdf((Math.abs(p2 - p1) - za * se0) / se1);
+  }
+
+  /* ========== FORECASTING ========== */
+
+  // One pass of additive Holt-Winters. Seasonality needs two full seasons of history;
+  // otherwise it runs as Holt's linear trend (season 1, gamma 0).
+  function holtWintersPass(values, season, alpha, beta, gamma) {
+    let level, trend, start;
+    const seasonal = new Array(season).fill(0);
+    if (season > 1) {
+      // the first season's mean sits at its midpoint: take the trend out before reading the indices
+      const first = mean(values.slice(0, season));
+      const mid = (season - 1) / 2;
+      trend = (mean(values.slice(season, 2 * season)) - first) / season;
+      level = first + mid * trend;
+      for (let i = 0; i < season; i++) seasonal[i] = values[i] - (first + (i - mid) * trend);
+      start = season;
+    } else {
+      level = values[0];
+      trend = values[1] - values[0];
+      start = 1;
+    }
+    let sse = 0;
+    for (let t = start; t < values.length; t++) {
+      const s = seasonal[t % season];
+      const err = values[t] - (level + trend + s);
+      sse += err * err;
+      const prevLevel = level;
+      level = alpha * (values[t] - s) + (1 - alpha) * (level + trend);
+      trend = beta * (level - prevLevel) + (1 - beta) * trend;
+      if (season > 1) seasonal[t % season] = gamma * (values[t] - level) + (1 - gamma) * s;
+    }
+    return { level, trend, seasonal, sse, steps: values.length - start, alpha, beta, gamma };
+  }
+
+  // Smoothing parameters picked by grid search on the one-step-ahead squared error
+  function holtWinters(values, season, horizon, z) {
+    if (values.length < 2 * season || season < 2) season = 1;
+    const grid = [0.05, 0.1, 0.2, 0.4, 0.6, 0.8];
+    let best = null;
+    grid.forEach(alpha => grid.forEach(beta => (season > 1 ? grid : [0]).forEach(gamma => {
+      const fit = holtWintersPass(values, season, alpha, beta, gamma);
+      if (!best || fit.sse < best.sse) best = fit;
+    })));
+    const { level, trend, seasonal, alpha, beta, gamma } = best;
+    const sigma = Math.sqrt(best.sse / Math.max(1, best.steps));
+    const n = values.length;
+    const point = [], lower = [], upper = [];
+    let variance = 0; // sum of squared psi weights for the ETS(A,A,A) k-step variance
+    for (let k = 1; k <= horizon; k++) {
+      const f = level + k * trend + seasonal[(n - 1 + k) % season];
+      if (k > 1) variance += (alpha * (1 + (k - 1) * beta) + (season > 1 && (k - 1) % season === 0 ? gamma : 0)) ** 2;
+      const half = z * sigma * Math.sqrt(1 + variance);
+      point.push(f);
+      lower.push(f - half);
+      upper.push(f + half);
+    }
+    return { point, lower, upper, seasonal: season > 1 };
+  }
+
+  // Least-squares trend plus the mean detrended value of each season position
+  function linearSeasonal(values, season, horizon, z) {
+    const n = values.length;
+    const tBar = (n - 1) / 2;
+    const yBar = mean(values);
+    let sxx = 0, sxy = 0;
+    values.forEach((y, t) => {
+      sxx += (t - tBar) ** 2;
+      sxy += (t - tBar) * (y - yBar);
+    });
+    const slope = sxx ? sxy / sxx : 0;
+    const intercept = yBar - slope * tBar;
+    const useSeason = season > 1 && n >= 2 * season;
+    const index = new Array(useSeason ? season : 1).fill(0);
+    if (useSeason) {
+      const sums = new Array(season).fill(0), counts = new Array(season).fill(0);
+      values.forEach((y, t) => {
+        sums[t % season] += y - (intercept + slope * t);
+        counts[t % season]++;
+      });
+      sums.forEach((v, i) => { index[i] = v / counts[i]; });
+    }
+    const fitted = (t) => intercept + slope * t + index[useSeason ? t % season : 0];
+    const dof = Math.max(1, n - 2 - (useSeason ? season - 1 : 0));
+    const sigma = Math.sqrt(values.reduce((sum, y, t) => sum + (y - fitted(t)) ** 2, 0) / dof);
+    const point = [], lower = [], upper = [];
+    for (let t = n; t < n + horizon; t++) {
+      const f = fitted(t);
+      const half = z * sigma * Math.sqrt(1 + 1 / n + (sxx ? (t - tBar) ** 2 / sxx : 0));
+      point.push(f);
+      lower.push(f - half);
+      upper.push(f + half);
+    }
+    return { point, lower, upper, seasonal: useSeason };
+  }
+
+  const FORECAST_METHODS = { 'holt-winters': holtWinters, linear: linearSeasonal };
+
+  // Next `horizon` values with a prediction interval; sales can't go below zero
+  function forecastSeries(values, horizon, method, season, confidence = 0.95) {
+    if (values.length < 4) return null;
+    const z = normalQuantile(1 - (1 - confidence) / 2);
+    const fc = FORECAST_METHODS[method](values, season, horizon, z);
+    const floor = (list) => list.map(v => Math.max(0, v));
+    return { ...fc, point: floor(fc.point), lower: floor(fc.lower), upper: floor(fc.upper) };
+  }
+
+  // Refit without the last `holdout` values and score the forecast of them.
+  // MAPE skips periods with zero actuals.
+  function backtest(values, horizon, method, season) {
+    const holdout = Math.min(horizon, Math.floor(values.length / 4));
+    if (holdout < 1 || values.length - holdout < 4) return null;
+    const actual = values.slice(-holdout);
+    const { point } = forecastSeries(values.slice(0, -holdout), holdout, method, season);
+    const nonZero = actual.map((a, i) => [a, point[i]]).filter(([a]) => a !== 0);
+    return {
+      holdout,
+      mape: nonZero.length ? mean(nonZero.map(([a, f]) => Math.abs((a - f) / a))) : null,
+      rmse: Math.sqrt(mean(actual.map((a, i) => (a - point[i]) ** 2))),
+    };
+  }
+
+  /* ========== ANOMALIES ========== */
+
+  // Linear-interpolated quantile of an ascending list
+  function quantile(sorted, q) {
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (pos - lo);
+  }
+
+  // Each value is judged against the `window` values before it (at least minHistory of them).
+  // zscore: |value - mean| / sd >= threshold (default 3).
+  // iqr: outside [Q1 - k·IQR, Q3 + k·IQR] with k = threshold (default 1.5); score is in IQR units past the fence.
+  // Returns [{ index, value, expected, score }], score signed (positive = above expected).
+  function detectAnomalies(values, { method = 'zscore', window = 6, threshold, minHistory = 4 } = {}) {
+    const found = [];
+    for (let i = minHistory; i < values.length; i++) {
+      const history = values.slice(Math.max(0, i - window), i);
+      const v = values[i];
+      if (method === 'iqr') {
+        const sorted = [...history].sort((a, b) => a - b);
+        const q1 = quantile(sorted, 0.25), q3 = quantile(sorted, 0.75);
+        const iqr = q3 - q1;
+        const k = threshold ?? 1.5;
+        if (!iqr) continue;
+        if (v > q3 + k * iqr) found.push({ index: i, value: v, expected: quantile(sorted, 0.5), score: (v - q3) / iqr });
+        else if (v < q1 - k * iqr) found.push({ index: i, value: v, expected: quantile(sorted, 0.5), score: (v - q1) / iqr });
+      } else {
+        const m = mean(history);
+        const sd = Math.sqrt(history.reduce((s, x) => s + (x - m) ** 2, 0) / Math.max(1, history.length - 1));
+        if (!sd) continue;
+        const z = (v - m) / sd;
+        if (Math.abs(z) >= (threshold ?? 3)) found.push({ index: i, value: v, expected: m, score: z });
+      }
+    }
+    return found;
+  }
+
+  /* ========== PIVOT ========== */
+
+  const numeric = (values) => values.filter(v => typeof v === 'number' && isFinite(v));
+  const PIVOT_AGGREGATES = {
+    sum: (values) => numeric(values).reduce((s, v) => s + v, 0),
+    avg: (values) => (numeric(values).length ? mean(numeric(values)) : null),
+    count: (values) => values.length,
+    distinct: (values) => new Set(values.map(String)).size,
+    min: (values) => (numeric(values).length ? Math.min(...numeric(values)) : null),
+    max: (values) => (numeric(values).length ? Math.max(...numeric(values)) : null),
+    median: (values) => {
+      const list = numeric(values).sort((a, b) => a - b);
+      if (!list.length) return null;
+      const mid = Math.floor(list.length / 2);
+      return list.length % 2 ? list[mid] : (list[mid - 1] + list[mid]) / 2;
+    },
+  };
+
+  const KEY_SEP = '\u0001';
+  const pivotCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+  // Compare key arrays field by field: a field's own `order`, then numbers, then natural text order
+  function keyComparator(fields) {
+    return (a, b) => {
+      for (let i = 0; i < fields.length; i++) {
+        const order = fields[i].order;
+        const x = order ? order(a[i]) : a[i], y = order ? order(b[i]) : b[i];
+        const diff = typeof x === 'number' && typeof y === 'number' ? x - y : pivotCollator.compare(String(x), String(y));
+        if (diff) return diff;
+      }
+      return 0;
+    };
+  }
+
+  // rowFields / colFields: [{ get(row), order?(value) }]; value(row) feeds the aggregate.
+  // Returns sorted rowKeys / colKeys (arrays of field values) and cell(rowKey, colKey):
+  // a rowKey shorter than rowFields is a subtotal, [] the grand total; colKey null is the row total.
+  function pivotTable(rows, { rowFields, colFields, value, agg = 'sum' }) {
+    if (!Object.prototype.hasOwnProperty.call(PIVOT_AGGREGATES, agg)) throw new Error(`Unknown aggregate "${agg}"`);
+    const reduce = PIVOT_AGGREGATES[agg];
+    const groups = new Map();
+    const rowKeys = new Map(), colKeys = new Map();
+    const push = (key, v) => {
+      const list = groups.get(key);
+      if (list) list.push(v);
+      else groups.set(key, [v]);
+    };
+    rows.forEach(r => {
+      const rk = rowFields.map(f => f.get(r));
+      const ck = colFields.map(f => f.get(r));
+      const rs = rk.join(KEY_SEP), cs = ck.join(KEY_SEP);
+      if (!rowKeys.has(rs)) rowKeys.set(rs, rk);
+      if (!colKeys.has(cs)) colKeys.set(cs, ck);
+      const v = value(r);
+      for (let depth = 0; depth <= rk.length; depth++) {
+        const prefix = rk.slice(0, depth).join(KEY_SEP);
+        push(prefix + '|=' + cs, v);
+        push(prefix + '|*', v);
+      }
+    });
+    const cache = new Map();
+    const cell = (rowKey, colKey) => {
+      const key = rowKey.join(KEY_SEP) + (colKey ? '|=' + colKey.join(KEY_SEP) : '|*');
+      if (!cache.has(key)) cache.set(key, groups.has(key) ? reduce(groups.get(key)) : null);
+      return cache.get(key);
+    };
+    return {
+      rowKeys: [...rowKeys.values()].sort(keyComparator(rowFields)),
+      colKeys: [...colKeys.values()].sort(keyComparator(colFields)),
+      cell,
+    };
+  }
+
+  /* ========== CALCULATED FIELDS ========== */
+
+  // Whitelisted functions; nothing else is reachable from an expression
+  const EXPR_FUNCTIONS = {
+    round: (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    lower: (v) => String(v ?? '').toLowerCase(),
+    upper: (v) => String(v ?? '').toUpperCase(),
+  };
+
+  // [precedence, fn]; '=' is accepted as equality for spreadsheet users
+  const EXPR_BINARY = {
+    '||': [1, (a, b) => a || b],
+    '&&': [2, (a, b) => a && b],
+    '==': [3, (a, b) => a === b],
+    '=': [3, (a, b) => a === b],
+    '!=': [3, (a, b) => a !== b],
+    '<': [4, (a, b) => a < b],
+    '<=': [4, (a, b) => a <= b],
+    '>': [4, (a, b) => a > b],
+    '>=': [4, (a, b) => a >= b],
+    '+': [5, (a, b) => (typeof a === 'string' || typeof b === 'string' ? `${a ?? ''}${b ?? ''}` : a + b)],
+    '-': [5, (a, b) => a - b],
+    '*': [6, (a, b) => a * b],
+    '/': [6, (a, b) => (b ? a / b : null)],
+    '%': [6, (a, b) => (b ? a % b : null)],
+  };
+
+  const EXPR_TOKEN = /\s*(?:(\d+(?:\.\d+)?)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|([A-Za-z_]\w*)|(\|\||&&|==|!=|<=|>=|[-+*\/%<>!?:(),=]))/y;
+
+  function tokenize(source) {
+    const tokens = [];
+    EXPR_TOKEN.lastIndex = 0;
+    while (EXPR_TOKEN.lastIndex < source.length) {
+      if (!source.slice(EXPR_TOKEN.lastIndex).trim()) break;
+      const at = EXPR_TOKEN.lastIndex;
+      const m = EXPR_TOKEN.exec(source);
+      if (!m) throw new Error(`Unexpected character at position ${at + 1}`);
+      if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]) });
+      else if (m[2] !== undefined || m[3] !== undefined) tokens.push({ type: 'str', value: (m[2] ?? m[3]).replace(/\\(.)/g, '$1') });
+      else if (m[4] !== undefined) tokens.push({ type: 'name', value: m[4] });
+      else tokens.push({ type: 'op', value: m[5] });
+    }
+    return tokens;
+  }
+
+  // Parses `source` into fn(scope). Only the given variable names, literals, operators,
+  // ?: and EXPR_FUNCTIONS are allowed, so a shared expression can't run arbitrary code.
+  function compileExpression(source, names) {
+    const tokens = tokenize(String(source));
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+    const expect = (value) => {
+      if (!isOp(value)) throw new Error(`Expected "${value}"`);
+      pos++;
+    };
+
+    function parseExpr(minPrec = 0) {
+      let left = parseUnary();
+      for (;;) {
+        if (minPrec === 0 && isOp('?')) {
+          pos++;
+          const cond = left, yes = parseExpr(0);
+          expect(':');
+          const no = parseExpr(0);
+          left = (s) => (cond(s) ? yes(s) : no(s));
+          continue;
+        }
+        const op = peek()?.type === 'op' && EXPR_BINARY[peek().value];
+        if (!op || op[0] <= minPrec) return left;
+        pos++;
+        const l = left, r = parseExpr(op[0]), fn = op[1];
+        left = (s) => fn(l(s), r(s));
+      }
+    }
+
+    function parseUnary() {
+      if (isOp('-')) {
+        pos++;
+        const arg = parseUnary();
+        return (s) => -arg(s);
+      }
+      if (isOp('!')) {
+        pos++;
+        const arg = parseUnary();
+        return (s) => !arg(s);
+      }
+      return parsePrimary();
+    }
+
+    function parsePrimary() {
+      const t = tokens[pos++];
+      if (!t) throw new Error('Unexpected end of expression');
+      if (t.type === 'num' || t.type === 'str') return () => t.value;
+      if (t.type === 'op' && t.value === '(') {
+        const inner = parseExpr(0);
+        expect(')');
+        return inner;
+      }
+      if (t.type === 'name') {
+        if (isOp('(')) {
+          const fn = Object.prototype.hasOwnProperty.call(EXPR_FUNCTIONS, t.value) && EXPR_FUNCTIONS[t.value];
+          if (!fn) throw new Error(`Unknown function "${t.value}"`);
+          pos++;
+          const args = [];
+          if (!isOp(')')) {
+            do args.push(parseExpr(0));
+            while (isOp(',') && ++pos);
+          }
+          expect(')');
+          return (s) => fn(...args.map(a => a(s)));
+        }
+        if (t.value === 'true' || t.value === 'false') return () => t.value === 'true';
+        if (!names.includes(t.value)) throw new Error(`Unknown field "${t.value}"`);
+        return (s) => s[t.value];
+      }
+      throw new Error(`Unexpected "${t.value}"`);
+    }
+
+    const fn = parseExpr(0);
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}"`);
+    return fn;
+  }
+
+  root.Analytics = {
+    RFM_SEGMENTS, rfm, kmeans, clusterCustomers, summarizeSegments, cohortRetention,
+    normalCdf, normalQuantile, wilsonInterval, twoProportionTest, probabilityToBeat, analyzeAbTest, sampleSize, testPower,
+    forecastSeries, backtest, detectAnomalies, PIVOT_AGGREGATES, pivotTable, compileExpression
+  };
+})(self);
@@ -0,0 +1,782 @@
+/* i18n.js — interface languages for the dashboard (no DOM access)
+   - LANGUAGES: language code -> display name and the locale numbers and dates are formatted in
+   - MESSAGES: Uzbek and Russian text keyed by the English original; anything missing stays English
+   - translate: look a string up and fill in its {placeholders}
+*/
+
+(function (root) {
+  const LANGUAGES = {
+    en: { name: 'English', locale: 'en-US' },
+    uz: { name: 'Oʻzbekcha', locale: 'uz-UZ' },
+    ru: { name: 'Русский', locale: 'ru-RU' },
+  };
+
+  const MESSAGES = {
+    uz: {
+      // upload, datasets and settings
+      'Live Data Demo — Upload Data': 'Jonli maʼlumotlar demosi — maʼlumot yuklash',
+      'Upload a CSV, TSV, Excel or JSON file with columns like': 'CSV, TSV, Excel yoki JSON faylini yuklang, ustunlari masalan:',
+      '— drop it on this section, paste a table copied from a spreadsheet, or use the sample data button. The dashboard will compute KPIs and render charts.':
+        '— faylni shu boʻlimga tashlang, jadvaldan nusxa olingan maʼlumotni joylang yoki namunaviy maʼlumotlar tugmasidan foydalaning. Dashboard KPI larni hisoblab, grafiklarni chizadi.',
+      'Language:': 'Til:',
+      'Reporting currency:': 'Hisobot valyutasi:',
+      'Exchange rates': 'Valyuta kurslari',
+      'Units of each currency per 1 USD. Every amount is converted into the reporting currency before KPIs, charts and tables are built. The starting rates are examples — enter current ones.':
+        '1 USD ga toʻgʻri keladigan har bir valyuta miqdori. Har bir summa KPI, grafik va jadvallar tuzilishidan oldin hisobot valyutasiga oʻtkaziladi. Boshlangʻich kurslar namunaviy — joriy kurslarni kiriting.',
+      'Add currency': 'Valyuta qoʻshish',
+      'Apply': 'Qoʻllash',
+      'Reset to defaults': 'Standart kurslarni tiklash',
+      'Close': 'Yopish',
+      'Code': 'Kod',
+      'Currency': 'Valyuta',
+      'Units per 1 USD': '1 USD uchun',
+      'Rows': 'Qatorlar',
+      'Remove': 'Oʻchirish',
+      'No exchange rate for {codes} — those amounts count as 0.': '{codes} uchun kurs yoʻq — bu summalar 0 deb hisoblanadi.',
+      'Dataset:': 'Maʼlumotlar toʻplami:',
+      'Sample data': 'Namunaviy maʼlumotlar',
+      'Delete': 'Oʻchirish',
+      'Next upload:': 'Keyingi yuklash:',
+      'Save as a new dataset': 'Yangi toʻplam sifatida saqlash',
+      'Append to the selected dataset': 'Tanlangan toʻplamga qoʻshish',
+      'Skip rows already present with the same': 'Quyidagilari bir xil boʻlgan mavjud qatorlarni oʻtkazib yuborish:',
+      'Use Sample Data': 'Namunaviy maʼlumotlar',
+      'Download Clean CSV': 'Tozalangan CSV ni yuklab olish',
+      'Edit Column Mapping': 'Ustunlar moslashuvini tahrirlash',
+      'Data Quality: {excluded} excluded, {fixed} fixed': 'Maʼlumotlar sifati: {excluded} ta chiqarildi, {fixed} ta tuzatildi',
+      'Generate Report': 'Hisobot yaratish',
+      'Cancel': 'Bekor qilish',
+      'Reading {name}…': '{name} oʻqilmoqda…',
+      'Standardizing rows…': 'Qatorlar standartlashtirilmoqda…',
+      'Cleaning rows…': 'Qatorlar tozalanmoqda…',
+      'Choose a sheet': 'Varaqni tanlang',
+      'Pick the sheet to import and the row that holds the column names; rows above it are skipped.':
+        'Import qilinadigan varaqni va ustun nomlari joylashgan qatorni tanlang; undan yuqoridagi qatorlar oʻtkazib yuboriladi.',
+      'Sheet': 'Varaq',
+      'Header row': 'Sarlavha qatori',
+      'Continue': 'Davom etish',
+      'Map your columns': 'Ustunlarni moslang',
+      'Pick which column of your file holds each field. Suggestions are based on the header names.':
+        'Har bir maydon faylingizning qaysi ustunida ekanini tanlang. Takliflar sarlavha nomlariga asoslangan.',
+      'Date format': 'Sana formati',
+      'Number format': 'Son formati',
+      'Currency if not in file': 'Faylda koʻrsatilmagan valyuta',
+      'Remember for files with these columns': 'Shu ustunli fayllar uchun eslab qolish',
+      'Load Data': 'Maʼlumotlarni yuklash',
+      'Data quality report': 'Maʼlumotlar sifati hisoboti',
+      'Apply & Load': 'Qoʻllash va yuklash',
+
+      // KPIs, views and filters
+      'Total Sales': 'Jami savdo',
+      'Avg Order': 'Oʻrtacha buyurtma',
+      'Unique Customers': 'Noyob mijozlar',
+      '{change} vs {label}': '{label}ga nisbatan {change}',
+      'previous period': 'oldingi davr',
+      'same period last year': 'oʻtgan yilning shu davri',
+      'Saved views:': 'Saqlangan koʻrinishlar:',
+      'Choose a view…': 'Koʻrinishni tanlang…',
+      'No saved views': 'Saqlangan koʻrinishlar yoʻq',
+      'Save Current': 'Joriyni saqlash',
+      'Rename': 'Nomini oʻzgartirish',
+      'Export': 'Eksport',
+      'Import': 'Import',
+      'Copy Link': 'Havolani nusxalash',
+      'Add filter:': 'Filtr qoʻshish:',
+      'Choose…': 'Tanlang…',
+      'Date': 'Sana',
+      'Category': 'Kategoriya',
+      'Sales': 'Savdo',
+      'Orders': 'Buyurtmalar',
+      'Customer': 'Mijoz',
+      'Customer ID': 'Mijoz ID',
+      'Customers': 'Mijozlar',
+      'Not customers': 'Mijozlardan tashqari',
+      'Year': 'Yil',
+      'Quarter': 'Chorak',
+      'Weekday': 'Hafta kuni',
+      'Month': 'Oy',
+      'Sales range': 'Savdo oraligʻi',
+      'Orders range': 'Buyurtmalar oraligʻi',
+      'Only these customers': 'Faqat shu mijozlar',
+      'Exclude customers': 'Mijozlarni chiqarib tashlash',
+      'Match:': 'Moslik:',
+      'All filters (AND)': 'Barcha filtrlar (VA)',
+      'Any filter (OR)': 'Istalgan filtr (YOKI)',
+      'Date range:': 'Sana oraligʻi:',
+      'Compare to:': 'Solishtirish:',
+      'Nothing': 'Hech narsa',
+      'Previous period': 'Oldingi davr',
+      'Same period last year': 'Oʻtgan yilning shu davri',
+      'Dates': 'Sanalar',
+      'Clear all': 'Hammasini tozalash',
+      'Edit': 'Tahrirlash',
+      'Min': 'Min',
+      'Max': 'Maks',
+      'Apply filter': 'Filtrni qoʻllash',
+      'Customer IDs, separated by commas or new lines': 'Mijoz ID lari, vergul yoki yangi qator bilan ajratilgan',
+
+      // time chart, forecast and anomalies
+      'Sales by Category': 'Kategoriyalar boʻyicha savdo',
+      'Sales over Time': 'Vaqt boʻyicha savdo',
+      'Daily': 'Kunlik',
+      'Weekly': 'Haftalik',
+      'Monthly': 'Oylik',
+      'Quarterly': 'Choraklik',
+      'No moving average': 'Sirpanuvchi oʻrtachasiz',
+      '7-period average': '7 davrlik oʻrtacha',
+      '30-period average': '30 davrlik oʻrtacha',
+      '{n}-period average': '{n} davrlik oʻrtacha',
+      'Cumulative': 'Jamlanma',
+      'Comparison': 'Solishtirish',
+      'Flag anomalies (z-score)': 'Anomaliyalarni belgilash (z-baho)',
+      'Flag anomalies (IQR)': 'Anomaliyalarni belgilash (IQR)',
+      'No anomaly flags': 'Anomaliyalarsiz',
+      'No forecast': 'Prognozsiz',
+      'Holt-Winters forecast': 'Holt-Winters prognozi',
+      'Linear trend + seasonality': 'Chiziqli trend + mavsumiylik',
+      'Next 3 periods': 'Keyingi 3 davr',
+      'Next 6 periods': 'Keyingi 6 davr',
+      'Next 12 periods': 'Keyingi 12 davr',
+      'Add note': 'Izoh qoʻshish',
+      'Add a note, e.g. Black Friday promo': 'Izoh qoʻshing, masalan: Black Friday aksiyasi',
+      'Notes': 'Izohlar',
+      'Forecast ({method})': 'Prognoz ({method})',
+      '95% interval': '95% interval',
+      'Lower bound': 'Quyi chegara',
+      'Linear trend': 'Chiziqli trend',
+      'At least 4 periods of history are needed for a forecast.': 'Prognoz uchun kamida 4 davrlik tarix kerak.',
+      'Not enough history to backtest the forecast.': 'Prognozni tekshirish uchun tarix yetarli emas.',
+      'Backtest on the last {count} {unit}:': 'Oxirgi {count} {unit} boʻyicha tekshiruv:',
+      'days': 'kun',
+      'weeks': 'hafta',
+      'months': 'oy',
+      'quarters': 'chorak',
+      '(under two seasons of history — no seasonality used)': '(tarix ikki mavsumdan kam — mavsumiylik hisobga olinmadi)',
+      'No anomalies flagged in this view.': 'Bu koʻrinishda anomaliyalar topilmadi.',
+      'Anomalies ({count})': 'Anomaliyalar ({count})',
+      'All sales': 'Barcha savdo',
+      '{value} vs ~{expected} expected{change}, {score}': '{value}, kutilgan ~{expected}{change}, {score}',
+      '{score}× IQR above the usual range': 'odatiy oraliqdan {score}× IQR yuqori',
+      '{score}× IQR below the usual range': 'odatiy oraliqdan {score}× IQR past',
+
+      // cohorts, pivot and table
+      'Cohort Retention': 'Kogortalar boʻyicha saqlanish',
+      'Customers returning': 'Qaytgan mijozlar',
+      'Revenue retained': 'Saqlangan daromad',
+      'No rows with both a date and a customer_id.': 'Sanasi va customer_id si bor qatorlar yoʻq.',
+      'Repeat-purchase rate:': 'Qayta xarid ulushi:',
+      '(bought on 2+ days)': '(2+ kun xarid qilgan)',
+      'Avg days between orders:': 'Buyurtmalar orasidagi oʻrtacha kunlar:',
+      'Cohort': 'Kogorta',
+      '{customers} customers, {revenue}': '{customers} mijoz, {revenue}',
+      'Pivot': 'Yigʻma jadval',
+      'Fields': 'Maydonlar',
+      'Columns': 'Ustunlar',
+      'Sum': 'Yigʻindi',
+      'Average': 'Oʻrtacha',
+      'Count': 'Soni',
+      'Distinct count': 'Noyoblar soni',
+      'Median': 'Mediana',
+      'of': 'maydon:',
+      'Values': 'Qiymatlar',
+      '% of row': 'Qatordan %',
+      '% of column': 'Ustundan %',
+      '% of total': 'Jamidan %',
+      'Bar chart': 'Ustunli diagramma',
+      'Stacked bar chart': 'Toʻplangan ustunli diagramma',
+      'Line chart': 'Chiziqli diagramma',
+      'Heatmap': 'Issiqlik xaritasi',
+      'Add calculated field': 'Hisoblanadigan maydon qoʻshish',
+      'Export CSV': 'CSV eksport',
+      'All fields placed': 'Barcha maydonlar joylashtirildi',
+      'Drop fields here': 'Maydonlarni shu yerga tashlang',
+      'Drag a field onto Rows or Columns to build a pivot.': 'Yigʻma jadval tuzish uchun maydonni Qatorlar yoki Ustunlarga torting.',
+      'Total': 'Jami',
+      'Grand total': 'Umumiy jami',
+      'Subtotal': 'Oraliq jami',
+      'Data': 'Maʼlumotlar',
+      'Search rows…': 'Qatorlarni qidirish…',
+      'Rows per page': 'Sahifadagi qatorlar',
+      'No rows to show.': 'Koʻrsatiladigan qatorlar yoʻq.',
+      'No rows match the search.': 'Qidiruvga mos qatorlar yoʻq.',
+      'avg': 'oʻrt.',
+      'distinct': 'noyob',
+      '{range} of {total} rows': '{total} qatordan {range}',
+      '‹ Prev': '‹ Oldingi',
+      'Next ›': 'Keyingi ›',
+      'Page {page} of {pages}': '{pages} sahifadan {page}-sahifa',
+
+      // import messages, column mapping and data quality
+      'Reading pasted data…': 'Joylangan maʼlumotlar oʻqilmoqda…',
+      'Pasted data': 'Joylangan maʼlumotlar',
+      'No columns found in {name}.': '{name} faylida ustunlar topilmadi.',
+      'Excel read error: {message}': 'Excel faylini oʻqishda xato: {message}',
+      'This sheet is empty.': 'Bu varaq boʻsh.',
+      'Pick a header row between 1 and {count}.': 'Sarlavha qatorini 1 dan {count} gacha tanlang.',
+      'JSON parse error': 'JSON tahlil xatosi',
+      'CSV parse error': 'CSV tahlil xatosi',
+      'Paste error': 'Joylash xatosi',
+      'Excel import error': 'Excel import xatosi',
+      'Import error': 'Import xatosi',
+      'Load error': 'Yuklash xatosi',
+      '— not in file —': '— faylda yoʻq —',
+      'If missing: {fallback}': 'Boʻlmasa: {fallback}',
+      'row is left out of the time chart': 'qator vaqt grafigiga kirmaydi',
+      '1 per row': 'har qatorga 1',
+      'empty': 'boʻsh',
+      'sign next to the amount, else the default below': 'summa yonidagi belgi, boʻlmasa quyidagi valyuta',
+      'Column': 'Ustun',
+      'Sample values': 'Namunaviy qiymatlar',
+      '(empty)': '(boʻsh)',
+      'and': 'va',
+      'No column chosen for {fields} — charts and KPIs will be incomplete.': '{fields} uchun ustun tanlanmagan — grafiklar va KPI lar toʻliq boʻlmaydi.',
+      'Auto-detect': 'Avtomatik aniqlash',
+      'Day/Month/Year': 'Kun/Oy/Yil',
+      'Month/Day/Year': 'Oy/Kun/Yil',
+      'Year/Month/Day': 'Yil/Oy/Kun',
+      'Excel serial (45720)': 'Excel seriya raqami (45720)',
+      'Text (Mar 4, 2025)': 'Matn (Mar 4, 2025)',
+      '1,234.56 (dot decimal)': '1,234.56 (kasr nuqta bilan)',
+      '1.234,56 (comma decimal)': '1.234,56 (kasr vergul bilan)',
+      'Missing or unparseable date': 'Sana yoʻq yoki oʻqib boʻlmaydi',
+      'Fill from previous row': 'Oldingi qatordan toʻldirish',
+      'Missing or non-numeric sales (read as 0)': 'Savdo summasi yoʻq yoki son emas (0 deb oʻqiladi)',
+      'Fill with category median': 'Kategoriya medianasi bilan toʻldirish',
+      'Negative sales amount': 'Manfiy savdo summasi',
+      'Use absolute value': 'Mutlaq qiymatni olish',
+      'Missing customer_id': 'customer_id yoʻq',
+      "Set to 'UNKNOWN'": "'UNKNOWN' deb belgilash",
+      'Exact duplicate of an earlier row': 'Oldingi qatorning aynan takrori',
+      'Exclude rows': 'Qatorlarni chiqarish',
+      'Keep as is': 'Oʻzgarishsiz qoldirish',
+      'Show rows': 'Qatorlarni koʻrsatish',
+      'Row {n}:': '{n}-qator:',
+      '…and {count} more': '…va yana {count} ta',
+      '{affected} of {total} rows have at least one issue. Choose how to treat each type before loading.':
+        '{total} qatordan {affected} tasida kamida bitta muammo bor. Yuklashdan oldin har bir turdagi muammo bilan nima qilishni tanlang.',
+
+      // datasets, views, notes, pivot and alerts
+      'no dates': 'sanalar yoʻq',
+      '{name} — {rows} rows, {range}, uploaded {date}': '{name} — {rows} qator, {range}, {date} da yuklangan',
+      'Saving unavailable': 'Saqlash imkonsiz',
+      'Could not open dataset: {message}': 'Toʻplamni ochib boʻlmadi: {message}',
+      'Delete the dataset "{name}"? This cannot be undone.': '"{name}" toʻplami oʻchirilsinmi? Buni qaytarib boʻlmaydi.',
+      'Could not delete dataset: {message}': 'Toʻplamni oʻchirib boʻlmadi: {message}',
+      'Saved {count} rows as a new dataset.': '{count} qator yangi toʻplam sifatida saqlandi.',
+      'Appended {count} rows ({skipped} duplicates skipped).': '{count} qator qoʻshildi ({skipped} ta takror oʻtkazib yuborildi).',
+      'Not saved: {message}': 'Saqlanmadi: {message}',
+      'Aggregation error': 'Hisoblash xatosi',
+      'Table error': 'Jadval xatosi',
+      'Cohort error': 'Kogorta xatosi',
+      'Pivot error': 'Yigʻma jadval xatosi',
+      'Sun': 'Yak',
+      'Mon': 'Dush',
+      'Tue': 'Sesh',
+      'Wed': 'Chor',
+      'Thu': 'Pay',
+      'Fri': 'Jum',
+      'Sat': 'Shan',
+      'Jan': 'Yan',
+      'Feb': 'Fev',
+      'Mar': 'Mar',
+      'Apr': 'Apr',
+      'May': 'May',
+      'Jun': 'Iyun',
+      'Jul': 'Iyul',
+      'Aug': 'Avg',
+      'Sep': 'Sen',
+      'Oct': 'Okt',
+      'Nov': 'Noy',
+      'Dec': 'Dek',
+      'Remove filter': 'Filtrni olib tashlash',
+      'Link copied.': 'Havola nusxalandi.',
+      'Copy this link:': 'Bu havolani nusxalang:',
+      'This dashboard link could not be read, so the default view is shown.': 'Dashboard havolasini oʻqib boʻlmadi, shuning uchun standart koʻrinish koʻrsatilmoqda.',
+      'Could not save views: {message}': 'Koʻrinishlarni saqlab boʻlmadi: {message}',
+      'Name for this view:': 'Bu koʻrinish nomi:',
+      'Choose a saved view first.': 'Avval saqlangan koʻrinishni tanlang.',
+      'New name:': 'Yangi nom:',
+      'Delete the view "{name}"?': '"{name}" koʻrinishi oʻchirilsinmi?',
+      'No saved views to export.': 'Eksport qilish uchun saqlangan koʻrinishlar yoʻq.',
+      'Imported {count} view(s).': '{count} ta koʻrinish import qilindi.',
+      'Could not import views: {message}': 'Koʻrinishlarni import qilib boʻlmadi: {message}',
+      'Could not save notes: {message}': 'Izohlarni saqlab boʻlmadi: {message}',
+      'Pick a date and type a note.': 'Sanani tanlang va izoh yozing.',
+      'Remove note': 'Izohni oʻchirish',
+      '(none)': '(yoʻq)',
+      '(no date)': '(sanasiz)',
+      '(blank)': '(boʻsh)',
+      'Could not save calculated fields: {message}': 'Hisoblanadigan maydonlarni saqlab boʻlmadi: {message}',
+      'Name for the calculated field:': 'Hisoblanadigan maydon nomi:',
+      'A field with that name already exists.': 'Bunday nomli maydon allaqachon mavjud.',
+      'Expression using {variables}.\nExamples: {examples}': '{variables} ishtirokidagi ifoda.\nMisollar: {examples}',
+      'Invalid expression: {message}': 'Notoʻgʻri ifoda: {message}',
+      'Delete the calculated field "{name}"?': '"{name}" hisoblanadigan maydoni oʻchirilsinmi?',
+      'Showing the first {limit} of {count} rows — export the CSV for all of them.':
+        '{count} qatordan dastlabki {limit} tasi koʻrsatilmoqda — hammasini olish uchun CSV ni eksport qiling.',
+      'Build a pivot first.': 'Avval yigʻma jadval tuzing.',
+      'Enter a three-letter ISO currency code, e.g. KGS.': 'Uch harfli ISO valyuta kodini kiriting, masalan KGS.',
+      'No data to download.': 'Yuklab olish uchun maʼlumot yoʻq.',
+      'Could not find a conversions column (e.g. "conversions" or "converted").': 'Konversiyalar ustuni topilmadi (masalan, "conversions" yoki "converted").',
+      'The CSV needs at least two variants.': 'CSV da kamida ikkita variant boʻlishi kerak.',
+      'No visitors for {variants} — every variant needs at least one.': '{variants} uchun tashrifchilar yoʻq — har bir variantda kamida bittasi boʻlishi kerak.',
+      'Nothing to export yet.': 'Hozircha eksport qilinadigan narsa yoʻq.',
+      'Load some data first.': 'Avval maʼlumot yuklang.',
+      'Thanks! Message sent (demo).': 'Rahmat! Xabar yuborildi (demo).',
+
+      // printable report
+      'Sales report': 'Savdo hisoboti',
+      'Generated {date}': 'Yaratilgan: {date}',
+      'Dataset: {name} ({count} rows in view)': 'Maʼlumotlar toʻplami: {name} (koʻrinishda {count} qator)',
+      'Uploaded data': 'Yuklangan maʼlumotlar',
+      'All dates': 'Barcha sanalar',
+      'AND': 'VA',
+      'OR': 'YOKI',
+      'Compared with the {label}': '{label} bilan taqqoslangan',
+      'Top {n} categories': 'Eng yaxshi {n} kategoriya',
+      'Top {n} customers': 'Eng yaxshi {n} mijoz',
+      'Share': 'Ulush',
+      'Print / Save as PDF': 'Chop etish / PDF sifatida saqlash',
+
+      // customer segmentation
+      'Customer Segmentation (RFM)': 'Mijozlar segmentatsiyasi (RFM)',
+      'k-means clusters': 'k-means klasterlari',
+      'No rows with both a date and a customer_id in the current view.': 'Joriy koʻrinishda sanasi ham, customer_id si ham bor qator yoʻq.',
+      '{count} customers in the current view. Recency is counted back from the latest date, {date}; scores are quintiles (5 = best).': 'Joriy koʻrinishda {count} mijoz. Yaqinlik oxirgi sanadan ({date}) orqaga hisoblanadi; ballar kvintillar (5 = eng yaxshi).',
+      'Segment': 'Segment',
+      'Cluster': 'Klaster',
+      'Cluster {n}': '{n}-klaster',
+      'Revenue share (%)': 'Daromad ulushi (%)',
+      '% of revenue': 'Daromaddan %',
+      'Revenue': 'Daromad',
+      'Avg recency (days)': 'Oʻrt. yaqinlik (kun)',
+      'Avg orders': 'Oʻrt. buyurtmalar',
+      'Avg spend': 'Oʻrt. xarajat',
+      'Champions': 'Chempionlar',
+      'Loyal Customers': 'Sodiq mijozlar',
+      "Can't Lose Them": 'Yoʻqotib boʻlmaydiganlar',
+      'At Risk': 'Xavf ostida',
+      'Potential Loyalists': 'Sodiq boʻlishi mumkinlar',
+      'New Customers': 'Yangi mijozlar',
+      'Need Attention': 'Eʼtibor talab qiladi',
+      'Hibernating': 'Uyquda',
+      'Lost': 'Yoʻqotilgan',
+
+      // A/B test calculator
+      'A/B Test Calculator': 'A/B test kalkulyatori',
+      'The first row is the control. Type the counts or upload a CSV with one row per variant (variant, visitors, conversions) or one row per visitor (variant, converted 0/1).': 'Birinchi qator — nazorat guruhi. Sonlarni kiriting yoki har bir variant uchun bitta qatorli (variant, visitors, conversions) yoki har bir tashrifchi uchun bitta qatorli (variant, converted 0/1) CSV yuklang.',
+      'Add variant': 'Variant qoʻshish',
+      'Upload CSV': 'CSV yuklash',
+      'Confidence': 'Ishonchlilik',
+      'Plan the next test': 'Keyingi testni rejalashtirish',
+      'Baseline rate (%)': 'Bazaviy koʻrsatkich (%)',
+      'Min. detectable lift (%)': 'Min. aniqlanadigan oʻsish (%)',
+      'Power': 'Quvvat',
+      'Visitors / day': 'Tashrifchilar / kun',
+      'Control': 'Nazorat',
+      'Variant': 'Variant',
+      'Variant {letter}': '{letter} varianti',
+      'Visitors': 'Tashrifchilar',
+      'Conversions': 'Konversiyalar',
+      '{name} has more conversions than visitors.': '{name}: konversiyalar tashrifchilardan koʻp.',
+      'Enter the control visitors to compare variants.': 'Variantlarni solishtirish uchun nazorat guruhi tashrifchilarini kiriting.',
+      'Enter the visitors of {name}.': '{name} tashrifchilarini kiriting.',
+      'Conversion rate': 'Konversiya darajasi',
+      'Conversion rate (%)': 'Konversiya darajasi (%)',
+      '{level} interval': '{level} interval',
+      'Lift vs control': 'Nazoratga nisbatan oʻsish',
+      'p-value': 'p-qiymat',
+      'P(beats control)': 'P(nazoratdan yaxshi)',
+      'control': 'nazorat',
+      'Rate': 'Daraja',
+      '✓ significant at {level} (two-proportion z-test). P(beats control) uses uniform Beta priors.': '✓ {level} darajada ahamiyatli (ikki ulushli z-test). P(nazoratdan yaxshi) bir xil Beta apriorlaridan foydalanadi.',
+      'Enter a baseline rate above 0% and a lift that keeps the rate below 100%.': '0% dan yuqori bazaviy koʻrsatkich va koʻrsatkichni 100% dan past saqlaydigan oʻsishni kiriting.',
+      '{n} visitors per variant ({total} total for {variants} variants) to detect a {lift}% relative lift with {power}% power.': '{lift}% nisbiy oʻsishni {power}% quvvat bilan aniqlash uchun har bir variantga {n} tashrifchi ({variants} variant uchun jami {total}).',
+      'About {days} days at {daily} visitors per day.': 'Kuniga {daily} tashrifchi bilan taxminan {days} kun.',
+      'The current test ({current} per variant) has {power}% power for that lift.': 'Joriy test (har bir variantga {current}) bu oʻsish uchun {power}% quvvatga ega.',
+    },
+
+    ru: {
+      'Live Data Demo — Upload Data': 'Живое демо — загрузка данных',
+      'Upload a CSV, TSV, Excel or JSON file with columns like': 'Загрузите файл CSV, TSV, Excel или JSON со столбцами вроде',
+      '— drop it on this section, paste a table copied from a spreadsheet, or use the sample data button. The dashboard will compute KPIs and render charts.':
+        '— перетащите его в этот раздел, вставьте таблицу, скопированную из электронной таблицы, или нажмите кнопку с примером данных. Дашборд посчитает KPI и построит графики.',
+      'Language:': 'Язык:',
+      'Reporting currency:': 'Валюта отчёта:',
+      'Exchange rates': 'Курсы валют',
+      'Units of each currency per 1 USD. Every amount is converted into the reporting currency before KPIs, charts and tables are built. The starting rates are examples — enter current ones.':
+        'Количество единиц каждой валюты за 1 USD. Все суммы переводятся в валюту отчёта до расчёта KPI, графиков и таблиц. Начальные курсы — примерные, введите актуальные.',
+      'Add currency': 'Добавить валюту',
+      'Apply': 'Применить',
+      'Reset to defaults': 'Сбросить',
+      'Close': 'Закрыть',
+      'Code': 'Код',
+      'Currency': 'Валюта',
+      'Units per 1 USD': 'За 1 USD',
+      'Rows': 'Строки',
+      'Remove': 'Удалить',
+      'No exchange rate for {codes} — those amounts count as 0.': 'Нет курса для {codes} — эти суммы считаются как 0.',
+      'Dataset:': 'Набор данных:',
+      'Sample data': 'Пример данных',
+      'Delete': 'Удалить',
+      'Next upload:': 'Следующая загрузка:',
+      'Save as a new dataset': 'Сохранить как новый набор',
+      'Append to the selected dataset': 'Добавить к выбранному набору',
+      'Skip rows already present with the same': 'Пропускать уже имеющиеся строки с теми же',
+      'Use Sample Data': 'Пример данных',
+      'Download Clean CSV': 'Скачать очищенный CSV',
+      'Edit Column Mapping': 'Изменить сопоставление столбцов',
+      'Data Quality: {excluded} excluded, {fixed} fixed': 'Качество данных: исключено {excluded}, исправлено {fixed}',
+      'Generate Report': 'Создать отчёт',
+      'Cancel': 'Отмена',
+      'Reading {name}…': 'Чтение {name}…',
+      'Standardizing rows…': 'Стандартизация строк…',
+      'Cleaning rows…': 'Очистка строк…',
+      'Choose a sheet': 'Выберите лист',
+      'Pick the sheet to import and the row that holds the column names; rows above it are skipped.':
+        'Выберите лист для импорта и строку с названиями столбцов; строки выше неё пропускаются.',
+      'Sheet': 'Лист',
+      'Header row': 'Строка заголовков',
+      'Continue': 'Продолжить',
+      'Map your columns': 'Сопоставьте столбцы',
+      'Pick which column of your file holds each field. Suggestions are based on the header names.':
+        'Укажите, в каком столбце файла находится каждое поле. Подсказки основаны на названиях заголовков.',
+      'Date format': 'Формат даты',
+      'Number format': 'Формат чисел',
+      'Currency if not in file': 'Валюта, если не указана',
+      'Remember for files with these columns': 'Запомнить для файлов с такими столбцами',
+      'Load Data': 'Загрузить данные',
+      'Data quality report': 'Отчёт о качестве данных',
+      'Apply & Load': 'Применить и загрузить',
+
+      'Total Sales': 'Общие продажи',
+      'Avg Order': 'Средний заказ',
+      'Unique Customers': 'Уникальные клиенты',
+      '{change} vs {label}': '{change} по сравнению с {label}',
+      'previous period': 'предыдущим периодом',
+      'same period last year': 'тем же периодом прошлого года',
+      'Saved views:': 'Сохранённые виды:',
+      'Choose a view…': 'Выберите вид…',
+      'No saved views': 'Нет сохранённых видов',
+      'Save Current': 'Сохранить текущий',
+      'Rename': 'Переименовать',
+      'Export': 'Экспорт',
+      'Import': 'Импорт',
+      'Copy Link': 'Копировать ссылку',
+      'Add filter:': 'Добавить фильтр:',
+      'Choose…': 'Выберите…',
+      'Date': 'Дата',
+      'Category': 'Категория',
+      'Sales': 'Продажи',
+      'Orders': 'Заказы',
+      'Customer': 'Клиент',
+      'Customer ID': 'ID клиента',
+      'Customers': 'Клиенты',
+      'Not customers': 'Кроме клиентов',
+      'Year': 'Год',
+      'Quarter': 'Квартал',
+      'Weekday': 'День недели',
+      'Month': 'Месяц',
+      'Sales range': 'Диапазон продаж',
+      'Orders range': 'Диапазон заказов',
+      'Only these customers': 'Только эти клиенты',
+      'Exclude customers': 'Исключить клиентов',
+      'Match:': 'Условие:',
+      'All filters (AND)': 'Все фильтры (И)',
+      'Any filter (OR)': 'Любой фильтр (ИЛИ)',
+      'Date range:': 'Период:',
+      'Compare to:': 'Сравнить с:',
+      'Nothing': 'Ничем',
+      'Previous period': 'Предыдущий период',
+      'Same period last year': 'Тот же период прошлого года',
+      'Dates': 'Даты',
+      'Clear all': 'Очистить всё',
+      'Edit': 'Изменить',
+      'Min': 'Мин',
+      'Max': 'Макс',
+      'Apply filter': 'Применить фильтр',
+      'Customer IDs, separated by commas or new lines': 'ID клиентов через запятую или с новой строки',
+
+      'Sales by Category': 'Продажи по категориям',
+      'Sales over Time': 'Продажи по времени',
+      'Daily': 'По дням',
+      'Weekly': 'По неделям',
+      'Monthly': 'По месяцам',
+      'Quarterly': 'По кварталам',
+      'No moving average': 'Без скользящего среднего',
+      '7-period average': 'Среднее за 7 периодов',
+      '30-period average': 'Среднее за 30 периодов',
+      '{n}-period average': 'Среднее за {n} периодов',
+      'Cumulative': 'Нарастающий итог',
+      'Comparison': 'Сравнение',
+      'Flag anomalies (z-score)': 'Отмечать аномалии (z-оценка)',
+      'Flag anomalies (IQR)': 'Отмечать аномалии (IQR)',
+      'No anomaly flags': 'Без отметок аномалий',
+      'No forecast': 'Без прогноза',
+      'Holt-Winters forecast': 'Прогноз Хольта-Винтерса',
+      'Linear trend + seasonality': 'Линейный тренд + сезонность',
+      'Next 3 periods': 'Следующие 3 периода',
+      'Next 6 periods': 'Следующие 6 периодов',
+      'Next 12 periods': 'Следующие 12 периодов',
+      'Add note': 'Добавить заметку',
+      'Add a note, e.g. Black Friday promo': 'Добавьте заметку, например: акция «Чёрная пятница»',
+      'Notes': 'Заметки',
+      'Forecast ({method})': 'Прогноз ({method})',
+      '95% interval': '95% интервал',
+      'Lower bound': 'Нижняя граница',
+      'Holt-Winters': 'Хольт-Винтерс',
+      'Linear trend': 'Линейный тренд',
+      'At least 4 periods of history are needed for a forecast.': 'Для прогноза нужно не менее 4 периодов истории.',
+      'Not enough history to backtest the forecast.': 'Недостаточно истории для проверки прогноза.',
+      'Backtest on the last {count} {unit}:': 'Проверка на последних {count} {unit}:',
+      'days': 'днях',
+      'weeks': 'неделях',
+      'months': 'месяцах',
+      'quarters': 'кварталах',
+      '(under two seasons of history — no seasonality used)': '(истории меньше двух сезонов — сезонность не учитывается)',
+      'No anomalies flagged in this view.': 'В этом представлении аномалий нет.',
+      'Anomalies ({count})': 'Аномалии ({count})',
+      'All sales': 'Все продажи',
+      '{value} vs ~{expected} expected{change}, {score}': '{value} при ожидаемых ~{expected}{change}, {score}',
+      '{score}× IQR above the usual range': 'на {score}× IQR выше обычного диапазона',
+      '{score}× IQR below the usual range': 'на {score}× IQR ниже обычного диапазона',
+
+      'Cohort Retention': 'Удержание когорт',
+      'Customers returning': 'Вернувшиеся клиенты',
+      'Revenue retained': 'Сохранённая выручка',
+      'No rows with both a date and a customer_id.': 'Нет строк одновременно с датой и customer_id.',
+      'Repeat-purchase rate:': 'Доля повторных покупок:',
+      '(bought on 2+ days)': '(покупали в 2+ дня)',
+      'Avg days between orders:': 'Среднее число дней между заказами:',
+      'Cohort': 'Когорта',
+      '{customers} customers, {revenue}': 'клиентов: {customers}, {revenue}',
+      'Pivot': 'Сводная таблица',
+      'Fields': 'Поля',
+      'Columns': 'Столбцы',
+      'Sum': 'Сумма',
+      'Average': 'Среднее',
+      'Count': 'Количество',
+      'Distinct count': 'Уникальных',
+      'Median': 'Медиана',
+      'of': 'по полю',
+      'Values': 'Значения',
+      '% of row': '% от строки',
+      '% of column': '% от столбца',
+      '% of total': '% от итога',
+      'Bar chart': 'Столбчатая диаграмма',
+      'Stacked bar chart': 'Столбчатая с накоплением',
+      'Line chart': 'Линейный график',
+      'Heatmap': 'Тепловая карта',
+      'Add calculated field': 'Добавить вычисляемое поле',
+      'Export CSV': 'Экспорт CSV',
+      'All fields placed': 'Все поля размещены',
+      'Drop fields here': 'Перетащите поля сюда',
+      'Drag a field onto Rows or Columns to build a pivot.': 'Перетащите поле в Строки или Столбцы, чтобы построить сводную таблицу.',
+      'Total': 'Итого',
+      'Grand total': 'Общий итог',
+      'Subtotal': 'Промежуточный итог',
+      'Data': 'Данные',
+      'Search rows…': 'Поиск по строкам…',
+      'Rows per page': 'Строк на странице',
+      'No rows to show.': 'Нет строк для отображения.',
+      'No rows match the search.': 'Нет строк, подходящих под поиск.',
+      'avg': 'сред.',
+      'distinct': 'уник.',
+      '{range} of {total} rows': '{range} из {total} строк',
+      '‹ Prev': '‹ Назад',
+      'Next ›': 'Вперёд ›',
+      'Page {page} of {pages}': 'Страница {page} из {pages}',
+
+      'Reading pasted data…': 'Чтение вставленных данных…',
+      'Pasted data': 'Вставленные данные',
+      'No columns found in {name}.': 'В «{name}» не найдено столбцов.',
+      'Excel read error: {message}': 'Ошибка чтения Excel: {message}',
+      'This sheet is empty.': 'Этот лист пуст.',
+      'Pick a header row between 1 and {count}.': 'Выберите строку заголовков от 1 до {count}.',
+      'JSON parse error': 'Ошибка разбора JSON',
+      'CSV parse error': 'Ошибка разбора CSV',
+      'Paste error': 'Ошибка вставки',
+      'Excel import error': 'Ошибка импорта Excel',
+      'Import error': 'Ошибка импорта',
+      'Load error': 'Ошибка загрузки',
+      '— not in file —': '— нет в файле —',
+      'If missing: {fallback}': 'Если нет: {fallback}',
+      'row is left out of the time chart': 'строка не попадает в график по времени',
+      '1 per row': '1 на строку',
+      'empty': 'пусто',
+      'sign next to the amount, else the default below': 'знак рядом с суммой, иначе валюта ниже',
+      'Column': 'Столбец',
+      'Sample values': 'Примеры значений',
+      '(empty)': '(пусто)',
+      'and': 'и',
+      'No column chosen for {fields} — charts and KPIs will be incomplete.': 'Не выбран столбец: {fields} — графики и KPI будут неполными.',
+      'Auto-detect': 'Автоопределение',
+      'Day/Month/Year': 'День/Месяц/Год',
+      'Month/Day/Year': 'Месяц/День/Год',
+      'Year/Month/Day': 'Год/Месяц/День',
+      'Excel serial (45720)': 'Число Excel (45720)',
+      'Text (Mar 4, 2025)': 'Текст (Mar 4, 2025)',
+      '1,234.56 (dot decimal)': '1,234.56 (десятичная точка)',
+      '1.234,56 (comma decimal)': '1.234,56 (десятичная запятая)',
+      'Missing or unparseable date': 'Дата отсутствует или не распознана',
+      'Fill from previous row': 'Взять из предыдущей строки',
+      'Missing or non-numeric sales (read as 0)': 'Продажи отсутствуют или не число (читаются как 0)',
+      'Fill with category median': 'Заполнить медианой категории',
+      'Negative sales amount': 'Отрицательная сумма продаж',
+      'Use absolute value': 'Взять по модулю',
+      'Missing customer_id': 'Нет customer_id',
+      "Set to 'UNKNOWN'": "Заменить на 'UNKNOWN'",
+      'Exact duplicate of an earlier row': 'Точный дубликат одной из строк выше',
+      'Exclude rows': 'Исключить строки',
+      'Keep as is': 'Оставить как есть',
+      'Show rows': 'Показать строки',
+      'Row {n}:': 'Строка {n}:',
+      '…and {count} more': '…и ещё {count}',
+      '{affected} of {total} rows have at least one issue. Choose how to treat each type before loading.':
+        'В {affected} из {total} строк есть хотя бы одна проблема. Выберите, как обработать каждый тип перед загрузкой.',
+
+      'no dates': 'без дат',
+      '{name} — {rows} rows, {range}, uploaded {date}': '{name} — строк: {rows}, {range}, загружен {date}',
+      'Saving unavailable': 'Сохранение недоступно',
+      'Could not open dataset: {message}': 'Не удалось открыть набор данных: {message}',
+      'Delete the dataset "{name}"? This cannot be undone.': 'Удалить набор данных «{name}»? Это нельзя отменить.',
+      'Could not delete dataset: {message}': 'Не удалось удалить набор данных: {message}',
+      'Saved {count} rows as a new dataset.': 'Сохранено в новый набор строк: {count}.',
+      'Appended {count} rows ({skipped} duplicates skipped).': 'Добавлено строк: {count} (пропущено дубликатов: {skipped}).',
+      'Not saved: {message}': 'Не сохранено: {message}',
+      'Aggregation error': 'Ошибка расчёта',
+      'Table error': 'Ошибка таблицы',
+      'Cohort error': 'Ошибка когорт',
+      'Pivot error': 'Ошибка сводной таблицы',
+      'Sun': 'Вс',
+      'Mon': 'Пн',
+      'Tue': 'Вт',
+      'Wed': 'Ср',
+      'Thu': 'Чт',
+      'Fri': 'Пт',
+      'Sat': 'Сб',
+      'Jan': 'Янв',
+      'Feb': 'Фев',
+      'Mar': 'Мар',
+      'Apr': 'Апр',
+      'May': 'Май',
+      'Jun': 'Июн',
+      'Jul': 'Июл',
+      'Aug': 'Авг',
+      'Sep': 'Сен',
+      'Oct': 'Окт',
+      'Nov': 'Ноя',
+      'Dec': 'Дек',
+      'Remove filter': 'Убрать фильтр',
+      'Link copied.': 'Ссылка скопирована.',
+      'Copy this link:': 'Скопируйте ссылку:',
+      'This dashboard link could not be read, so the default view is shown.': 'Не удалось прочитать ссылку на дашборд, поэтому показан вид по умолчанию.',
+      'Could not save views: {message}': 'Не удалось сохранить виды: {message}',
+      'Name for this view:': 'Название вида:',
+      'Choose a saved view first.': 'Сначала выберите сохранённый вид.',
+      'New name:': 'Новое название:',
+      'Delete the view "{name}"?': 'Удалить вид «{name}»?',
+      'No saved views to export.': 'Нет сохранённых видов для экспорта.',
+      'Imported {count} view(s).': 'Импортировано видов: {count}.',
+      'Could not import views: {message}': 'Не удалось импортировать виды: {message}',
+      'Could not save notes: {message}': 'Не удалось сохранить заметки: {message}',
+      'Pick a date and type a note.': 'Выберите дату и введите заметку.',
+      'Remove note': 'Удалить заметку',
+      '(none)': '(нет)',
+      '(no date)': '(без даты)',
+      '(blank)': '(пусто)',
+      'Could not save calculated fields: {message}': 'Не удалось сохранить вычисляемые поля: {message}',
+      'Name for the calculated field:': 'Название вычисляемого поля:',
+      'A field with that name already exists.': 'Поле с таким названием уже есть.',
+      'Expression using {variables}.\nExamples: {examples}': 'Выражение с {variables}.\nПримеры: {examples}',
+      'Invalid expression: {message}': 'Неверное выражение: {message}',
+      'Delete the calculated field "{name}"?': 'Удалить вычисляемое поле «{name}»?',
+      'Showing the first {limit} of {count} rows — export the CSV for all of them.':
+        'Показаны первые {limit} из {count} строк — экспортируйте CSV, чтобы получить все.',
+      'Build a pivot first.': 'Сначала постройте сводную таблицу.',
+      'Enter a three-letter ISO currency code, e.g. KGS.': 'Введите трёхбуквенный код валюты ISO, например KGS.',
+      'No data to download.': 'Нет данных для скачивания.',
+      'Could not find a conversions column (e.g. "conversions" or "converted").': 'Не найден столбец конверсий (например, «conversions» или «converted»).',
+      'The CSV needs at least two variants.': 'В CSV должно быть не меньше двух вариантов.',
+      'No visitors for {variants} — every variant needs at least one.': 'Нет посетителей: {variants} — в каждом варианте нужен хотя бы один.',
+      'Nothing to export yet.': 'Пока нечего экспортировать.',
+      'Load some data first.': 'Сначала загрузите данные.',
+      'Thanks! Message sent (demo).': 'Спасибо! Сообщение отправлено (демо).',
+
+      'Sales report': 'Отчёт о продажах',
+      'Generated {date}': 'Создан {date}',
+      'Dataset: {name} ({count} rows in view)': 'Набор данных: {name} (строк в представлении: {count})',
+      'Uploaded data': 'Загруженные данные',
+      'All dates': 'Все даты',
+      'AND': 'И',
+      'OR': 'ИЛИ',
+      'Compared with the {label}': 'Сравнение с {label}',
+      'Top {n} categories': 'Топ-{n} категорий',
+      'Top {n} customers': 'Топ-{n} клиентов',
+      'Share': 'Доля',
+      'Print / Save as PDF': 'Печать / сохранить в PDF',
+
+      'Customer Segmentation (RFM)': 'Сегментация клиентов (RFM)',
+      'k-means clusters': 'Кластеры k-means',
+      'No rows with both a date and a customer_id in the current view.': 'В текущем представлении нет строк, где есть и дата, и customer_id.',
+      '{count} customers in the current view. Recency is counted back from the latest date, {date}; scores are quintiles (5 = best).': 'Клиентов в текущем представлении: {count}. Давность отсчитывается от последней даты, {date}; баллы — квинтили (5 = лучший).',
+      'Segment': 'Сегмент',
+      'Cluster': 'Кластер',
+      'Cluster {n}': 'Кластер {n}',
+      'Revenue share (%)': 'Доля выручки (%)',
+      '% of revenue': '% выручки',
+      'Revenue': 'Выручка',
+      'Avg recency (days)': 'Сред. давность (дней)',
+      'Avg orders': 'Сред. заказов',
+      'Avg spend': 'Сред. траты',
+      'Champions': 'Чемпионы',
+      'Loyal Customers': 'Лояльные клиенты',
+      "Can't Lose Them": 'Нельзя потерять',
+      'At Risk': 'В зоне риска',
+      'Potential Loyalists': 'Потенциально лояльные',
+      'New Customers': 'Новые клиенты',
+      'Need Attention': 'Требуют внимания',
+      'Hibernating': 'Спящие',
+      'Lost': 'Потерянные',
+
+      'A/B Test Calculator': 'Калькулятор A/B-тестов',
+      'The first row is the control. Type the counts or upload a CSV with one row per variant (variant, visitors, conversions) or one row per visitor (variant, converted 0/1).': 'Первая строка — контрольная группа. Введите числа или загрузите CSV с одной строкой на вариант (variant, visitors, conversions) или одной строкой на посетителя (variant, converted 0/1).',
+      'Add variant': 'Добавить вариант',
+      'Upload CSV': 'Загрузить CSV',
+      'Confidence': 'Доверие',
+      'Plan the next test': 'Спланировать следующий тест',
+      'Baseline rate (%)': 'Базовая конверсия (%)',
+      'Min. detectable lift (%)': 'Мин. обнаружимый прирост (%)',
+      'Power': 'Мощность',
+      'Visitors / day': 'Посетителей в день',
+      'Control': 'Контроль',
+      'Variant': 'Вариант',
+      'Variant {letter}': 'Вариант {letter}',
+      'Visitors': 'Посетители',
+      'Conversions': 'Конверсии',
+      '{name} has more conversions than visitors.': 'У «{name}» конверсий больше, чем посетителей.',
+      'Enter the control visitors to compare variants.': 'Введите посетителей контрольной группы, чтобы сравнить варианты.',
+      'Enter the visitors of {name}.': 'Введите посетителей для «{name}».',
+      'Conversion rate': 'Конверсия',
+      'Conversion rate (%)': 'Конверсия (%)',
+      '{level} interval': '{level} интервал',
+      'Lift vs control': 'Прирост к контролю',
+      'p-value': 'p-значение',
+      'P(beats control)': 'P(лучше контроля)',
+      'control': 'контроль',
+      'Rate': 'Конверсия',
+      '✓ significant at {level} (two-proportion z-test). P(beats control) uses uniform Beta priors.': '✓ значимо на уровне {level} (z-тест для двух долей). P(лучше контроля) использует равномерные бета-априорные распределения.',
+      'Enter a baseline rate above 0% and a lift that keeps the rate below 100%.': 'Введите базовую конверсию выше 0% и прирост, при котором конверсия остаётся ниже 100%.',
+      '{n} visitors per variant ({total} total for {variants} variants) to detect a {lift}% relative lift with {power}% power.': '{n} посетителей на вариант (всего {total} для вариантов: {variants}), чтобы обнаружить относительный прирост {lift}% с мощностью {power}%.',
+      'About {days} days at {daily} visitors per day.': 'Около {days} дн. при {daily} посетителях в день.',
+      'The current test ({current} per variant) has {power}% power for that lift.': 'Мощность текущего теста ({current} на вариант) для этого прироста — {power}%.',
+    },
+  };
+
+  function translate(lang, text, vars) {
+    const s = MESSAGES[lang]?.[text] ?? text;
+    return vars ? s.replace(/\{(\w+)\}/g, (m, key) => (key in vars ? vars[key] : m)) : s;
+  }
+
+  root.I18N = { LANGUAGES, MESSAGES, translate };
+})(self);
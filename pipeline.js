@@ -0,0 +1,751 @@
+/* pipeline.js — data preparation shared by the page and worker.js
+   - Number / date parsing and per-column format detection
+   - standardizeRows + data-quality report, cleanRows
+   - Currency codes from a column or the amount text; convertRows to a reporting currency
+   - rowFilter: the dashboard filter model (date range + AND/OR conditions) as a row predicate
+   - jsonRecords / flattenRecord: JSON dumps to flat rows (nested fields as dotted columns)
+   - Table pages, pivot lines and cohorts of the filtered rows, so the page only receives what it shows
+   - createPipeline: the message-driven import pipeline (parse → standardize → clean)
+     with date/category indexes for fast re-aggregation on filter changes.
+     worker.js runs it off the main thread; script.js falls back to running it in the page.
+*/
+
+(function (root) {
+  // decimal is '.' (1,234.56) or ',' (1.234,56); thousands separators and currency signs are dropped
+  const numberString = (v, decimal = '.') => {
+    let s = String(v).trim();
+    s = decimal === ',' ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, '');
+    return s.replace(/[^0-9.\-]/g, '');
+  };
+  const parseNumber = (v, decimal = '.') => {
+    if (v === null || v === undefined || v === '') return 0;
+    if (typeof v === 'number') return v;
+    const n = Number(numberString(v, decimal));
+    if (isNaN(n)) return 0;
+    return /^\(.*\)$/.test(String(v).trim()) ? -Math.abs(n) : n; // accounting style (123.00)
+  };
+  const pad2 = (n) => String(n).padStart(2, '0');
+  const NUMERIC_DATE = /^(\d{1,4})[\/\-.\s](\d{1,2})[\/\-.\s](\d{1,4})(?!\d)/;
+
+  // Data-quality issue classes found by standardizeRows; `fix` is omitted where only keep/exclude make sense
+  const QUALITY_CHECKS = [
+    { key: 'badDate', label: 'Missing or unparseable date', fix: 'Fill from previous row', default: 'exclude' },
+    { key: 'badSales', label: 'Missing or non-numeric sales (read as 0)', fix: 'Fill with category median', default: 'exclude' },
+    { key: 'negative', label: 'Negative sales amount', fix: 'Use absolute value', default: 'keep' },
+    { key: 'noCustomer', label: 'Missing customer_id', fix: "Set to 'UNKNOWN'", default: 'keep' },
+    { key: 'duplicate', label: 'Exact duplicate of an earlier row', default: 'exclude' }
+  ];
+
+  /* ========== PARSING ========== */
+
+  // true when parseNumber would read a real number rather than falling back to 0
+  function isNumeric(v, decimal = '.') {
+    if (v === null || v === undefined) return false;
+    if (typeof v === 'number') return true;
+    const stripped = numberString(v, decimal);
+    return /\d/.test(stripped) && !isNaN(Number(stripped));
+  }
+
+  // Parse a date cell in a known format (iso/dmy/mdy/ymd/excel/text) to 'YYYY-MM-DD', or null
+  function normalizeDate(v, format = 'text') {
+    if (v === null || v === undefined || v === '') return null;
+    const s = String(v).trim();
+    if (format === 'excel') {
+      const n = Number(s);
+      if (!s || isNaN(n)) return null;
+      // Excel day 0 is 1899-12-30 (this absorbs its 1900 leap-year bug for dates after March 1900)
+      return new Date(Date.UTC(1899, 11, 30) + Math.floor(n) * 86400000).toISOString().slice(0, 10);
+    }
+    const m = s.match(NUMERIC_DATE);
+    if (format === 'text') {
+      if (m && m[1].length === 4) return normalizeDate(s, 'ymd');
+      const d = new Date(s);
+      if (isNaN(d)) return null;
+      return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+    }
+    if (!m) return null;
+    let [, a, b, c] = m;
+    let day, mon, yr;
+    if (format === 'dmy') [day, mon, yr] = [a, b, c];
+    else if (format === 'mdy') [mon, day, yr] = [a, b, c];
+    else [yr, mon, day] = [a, b, c]; // iso / ymd
+    yr = Number(yr);
+    if (String(m[format === 'dmy' || format === 'mdy' ? 3 : 1]).length <= 2) yr = expandYear(yr);
+    mon = Number(mon);
+    day = Number(day);
+    const daysInMonth = new Date(Date.UTC(yr, mon, 0)).getUTCDate();
+    if (mon < 1 || mon > 12 || day < 1 || day > daysInMonth) return null;
+    return `${yr}-${pad2(mon)}-${pad2(day)}`;
+  }
+
+  // Two-digit years: up to ten years ahead of today count as this century, the rest as the last one
+  function expandYear(yy) {
+    const now = new Date().getFullYear();
+    const century = Math.floor(now / 100) * 100;
+    return century + yy <= now + 10 ? century + yy : century - 100 + yy;
+  }
+
+  // Guess the date format from every non-empty value in the column
+  function detectDateFormat(values) {
+    const vals = values.map(v => String(v ?? '').trim()).filter(Boolean);
+    if (!vals.length) return 'iso';
+    if (vals.every(v => /^\d+(\.\d+)?$/.test(v) && Number(v) > 59 && Number(v) < 2958466)) return 'excel';
+    const parts = vals.map(v => v.match(NUMERIC_DATE)).filter(Boolean);
+    if (parts.length < vals.length * 0.8) return 'text';
+    if (parts.every(m => m[1].length === 4)) {
+      return parts.every(m => /^\d{4}-\d{1,2}-\d{1,2}/.test(m[0])) ? 'iso' : 'ymd';
+    }
+    // a first part above 12 can only be a day, a second part above 12 only a day in M/D/Y
+    const firstIsDay = parts.filter(m => Number(m[1]) > 12).length;
+    const secondIsDay = parts.filter(m => Number(m[2]) > 12).length;
+    return secondIsDay > firstIsDay ? 'mdy' : 'dmy'; // ambiguous columns default to day-first
+  }
+
+  // Guess the decimal separator from every non-empty value in the numeric columns
+  function detectNumberFormat(values) {
+    let dot = 0, comma = 0;
+    values.forEach(v => {
+      if (v === null || v === undefined || typeof v === 'number') return;
+      const s = String(v).replace(/[^0-9.,]/g, '');
+      const dots = (s.match(/\./g) || []).length;
+      const commas = (s.match(/,/g) || []).length;
+      if (dots && commas) {
+        if (s.lastIndexOf(',') > s.lastIndexOf('.')) comma++; else dot++;
+      } else if (commas) {
+        // '1,250' is ambiguous; '1,25' / '1,2500' / '1,250,000' are not
+        if (commas > 1) dot++;
+        else if (!/,\d{3}$/.test(s)) comma++;
+      } else if (dots) {
+        if (dots > 1) comma++;
+        else if (!/\.\d{3}$/.test(s)) dot++;
+      }
+    });
+    return comma > dot ? 'comma' : 'dot';
+  }
+
+  // Replace 'auto' entries with what the mapped columns look like
+  function detectFormats(rows, mapping, formats) {
+    const column = (key) => (mapping[key] ? rows.map(r => r[mapping[key]]) : []);
+    return {
+      date: formats.date && formats.date !== 'auto' ? formats.date : detectDateFormat(column('date')),
+      number: formats.number && formats.number !== 'auto'
+        ? formats.number
+        : detectNumberFormat(column('sales').concat(column('orders'))),
+      currency: formats.currency || BASE_CURRENCY
+    };
+  }
+
+  /* ========== CURRENCY ========== */
+
+  // Rates are kept as units per 1 USD; rows saved before currencies existed are in USD
+  const BASE_CURRENCY = 'USD';
+
+  // Signs and local spellings; anything else has to be an ISO 4217 code
+  const CURRENCY_ALIASES = {
+    '$': 'USD', 'US$': 'USD', '€': 'EUR', '£': 'GBP', '₽': 'RUB', 'РУБ': 'RUB', '₸': 'KZT',
+    "SO'M": 'UZS', 'SUM': 'UZS', 'СУМ': 'UZS', 'СЎМ': 'UZS'
+  };
+
+  // Active ISO 4217 codes, so a stray three-letter word ('abc', 'pcs') isn't taken for a currency
+  const ISO_CURRENCIES = new Set((
+    'AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD BTN BWP BYN BZD ' +
+    'CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD ' +
+    'GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD KZT ' +
+    'LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR ' +
+    'NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP ' +
+    'STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD UYU UZS VES VND VUV WST XAF XCD XCG ' +
+    'XOF XPF YER ZAR ZMW ZWG'
+  ).split(' '));
+
+  // Apostrophe look-alikes (ʻ ʼ ‘ ’ `) all read as ', so so‘m, soʻm and so'm match
+  function normalizeCurrency(v) {
+    const s = String(v ?? '').trim().toUpperCase().replace(/[ʻʼ‘’`]/g, "'").replace(/\.$/, '');
+    if (CURRENCY_ALIASES[s]) return CURRENCY_ALIASES[s];
+    return ISO_CURRENCIES.has(s) ? s : '';
+  }
+
+  // The currency written next to an amount: '$1,200', '1 200 000 so‘m', 'EUR 15'
+  const currencyOf = (v) => (typeof v === 'string' ? normalizeCurrency(v.replace(/[\d\s.,()+\-]/g, '')) : '');
+
+  // sales becomes the amount in the reporting currency (0 when either rate is missing);
+  // the original figure stays in amount so the rows can be converted again when rates change
+  function convertRows(rows, { reporting, rates }) {
+    return rows.map(r => {
+      const currency = r.currency || BASE_CURRENCY;
+      const amount = r.amount ?? r.sales;
+      const from = rates[currency];
+      const to = rates[reporting];
+      const sales = from && to ? Math.round(amount / from * to * 100) / 100 : 0;
+      return { ...r, currency, amount, sales };
+    });
+  }
+
+  /* ========== STANDARDIZE / CLEAN ========== */
+
+  // Create friendly, consistent rows from a { field: header } mapping; unmapped fields get defaults.
+  // `formats` must be resolved ({ date: 'dmy', number: 'comma', currency: 'UZS' }, never 'auto');
+  // formats.currency applies to rows whose currency is neither mapped nor written next to the amount.
+  // Also returns a quality report: { total, issues: { [check key]: [{ index, value }] } }. An unmapped date or
+  // sales column isn't a per-row problem (the wizard already warns), so those checks only run when it is mapped.
+  function standardizeRows(rows, mapping, formats) {
+    const pick = (r, key) => (mapping[key] ? r[mapping[key]] : undefined);
+    const decimal = formats.number === 'comma' ? ',' : '.';
+    const issues = {};
+    QUALITY_CHECKS.forEach(c => { issues[c.key] = []; });
+    const seen = new Set();
+
+    const out = rows.map((r, index) => {
+      const row = {
+        date: normalizeDate(pick(r, 'date'), formats.date),
+        category: String(pick(r, 'category') ?? '').trim() || 'Unknown',
+        sales: parseNumber(pick(r, 'sales') || 0, decimal),
+        orders: parseNumber(pick(r, 'orders') || 1, decimal),
+        customer_id: String(pick(r, 'customer_id') ?? '').trim()
+      };
+      const rawSales = pick(r, 'sales');
+      row.currency = normalizeCurrency(pick(r, 'currency')) || currencyOf(rawSales) || formats.currency;
+      if (mapping.date && !row.date) issues.badDate.push({ index, value: pick(r, 'date') ?? '' });
+      if (mapping.sales && !isNumeric(rawSales, decimal)) issues.badSales.push({ index, value: rawSales ?? '' });
+      if (row.sales < 0) issues.negative.push({ index, value: rawSales });
+      if (!row.customer_id) issues.noCustomer.push({ index, value: '' });
+      const key = JSON.stringify(Object.values(r));
+      if (seen.has(key)) issues.duplicate.push({ index, value: Object.values(r).join(', ') });
+      seen.add(key);
+      return row;
+    });
+    return { rows: out, quality: { total: rows.length, issues } };
+  }
+
+  // Apply the exclude / keep / fix choice of every issue class to a copy of the standardized rows
+  function cleanRows(rows, quality, choices) {
+    const drop = new Set();
+    const fixes = {};
+    QUALITY_CHECKS.forEach(c => {
+      quality.issues[c.key].forEach(({ index }) => {
+        if (choices[c.key] === 'exclude') drop.add(index);
+        if (choices[c.key] === 'fix') (fixes[index] ||= []).push(c.key);
+      });
+    });
+
+    // category medians of valid sales, for the badSales fix
+    const badSales = new Set(quality.issues.badSales.map(i => i.index));
+    const byCat = {};
+    rows.forEach((r, i) => { if (!badSales.has(i)) (byCat[r.category] ||= []).push(r.sales); });
+    const medians = {};
+    for (const [c, vals] of Object.entries(byCat)) medians[c] = median(vals);
+
+    const out = [];
+    let lastDate = null;
+    let fixed = 0;
+    rows.forEach((r, i) => {
+      const row = { ...r };
+      for (const key of fixes[i] || []) {
+        if (key === 'badDate') row.date = lastDate;
+        if (key === 'badSales') row.sales = medians[row.category] ?? 0;
+        if (key === 'negative') row.sales = Math.abs(row.sales);
+        if (key === 'noCustomer') row.customer_id = 'UNKNOWN';
+      }
+      if (r.date) lastDate = r.date;
+      if (drop.has(i)) return;
+      if (fixes[i]) fixed++;
+      out.push(row);
+    });
+    return { rows: out, excluded: drop.size, fixed };
+  }
+
+  function median(values) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  /* ========== JSON ========== */
+
+  const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+  // { a: { b: 1 }, tags: ['x', 'y'], items: [{ sku: 1 }] } -> { 'a.b': '1', tags: 'x, y', 'items.0.sku': '1' }
+  function flattenRecord(obj, prefix = '', out = {}) {
+    Object.entries(obj).forEach(([k, v]) => {
+      const key = prefix ? `${prefix}.${k}` : k;
+      if (isPlainObject(v)) {
+        flattenRecord(v, key, out);
+      } else if (Array.isArray(v)) {
+        if (v.every(x => x === null || typeof x !== 'object')) out[key] = v.join(', ');
+        else v.forEach((item, i) => (isPlainObject(item) ? flattenRecord(item, `${key}.${i}`, out) : (out[`${key}.${i}`] = item === null || item === undefined ? '' : String(item))));
+      } else {
+        out[key] = v === null || v === undefined ? '' : String(v);
+      }
+    });
+    return out;
+  }
+
+  // The records of a parsed JSON document: a top-level array, or the first array of objects
+  // found a few levels down (e.g. { data: [...] }); an array of arrays uses its first row as headers
+  function jsonRecords(value) {
+    let list = Array.isArray(value) ? value : null;
+    const queue = isPlainObject(value) ? [[value, 0]] : [];
+    while (!list && queue.length) {
+      const [obj, depth] = queue.shift();
+      for (const v of Object.values(obj)) {
+        if (Array.isArray(v) && v.some(isPlainObject)) {
+          list = v;
+          break;
+        }
+        if (isPlainObject(v) && depth < 3) queue.push([v, depth + 1]);
+      }
+    }
+    if (!list) list = isPlainObject(value) ? [value] : [];
+    if (list.length && list.every(Array.isArray)) {
+      const [head, ...body] = list;
+      return body.map(row => Object.fromEntries(head.map((h, i) => [String(h), row[i] === null || row[i] === undefined ? '' : String(row[i])])));
+    }
+    return list.filter(isPlainObject).map(r => flattenRecord(r));
+  }
+
+  // Union of the keys of all records, in first-seen order
+  function recordHeaders(records) {
+    const seen = new Set();
+    records.forEach(r => Object.keys(r).forEach(k => seen.add(k)));
+    return [...seen].filter(h => h && h.trim());
+  }
+
+  /* ========== INDEX / AGGREGATION ========== */
+
+  // date -> category -> { sales, orders, customers }; rows without a date go under `undated`
+  function buildIndex(rows) {
+    const byDate = new Map();
+    const undated = new Map();
+    rows.forEach(r => {
+      const cats = r.date ? (byDate.get(r.date) || byDate.set(r.date, new Map()).get(r.date)) : undated;
+      let cell = cats.get(r.category);
+      if (!cell) cats.set(r.category, cell = { sales: 0, orders: 0, customers: new Set() });
+      cell.sales += Number(r.sales) || 0;
+      cell.orders += Number(r.orders) || 0;
+      if (r.customer_id) cell.customers.add(r.customer_id);
+    });
+    return { dates: [...byDate.keys()].sort(), byDate, undated };
+  }
+
+  // First index in the sorted `dates` whose value is >= iso (or > iso when `after`)
+  function bisect(dates, iso, after) {
+    let lo = 0, hi = dates.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (dates[mid] < iso || (after && dates[mid] === iso)) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  /* ========== FILTERS ========== */
+
+  // filters: { from, to, strict, mode: 'and' | 'or', conditions: [{ type, values } | { type, min, max }] }.
+  // The date range always applies; conditions combine with `mode`. Undated rows pass the
+  // date range unless `strict`, but never a weekday or month condition.
+  function rowFilter(filters) {
+    const { from, to, strict } = filters;
+    const conditions = (filters.conditions || []).map(compileCondition);
+    const any = filters.mode === 'or';
+    return (r) => {
+      if (r.date) {
+        if (from && r.date < from) return false;
+        if (to && r.date > to) return false;
+      } else if (strict) {
+        return false;
+      }
+      if (!conditions.length) return true;
+      return any ? conditions.some(test => test(r)) : conditions.every(test => test(r));
+    };
+  }
+
+  const weekdayCache = new Map();
+  const weekdayOf = (iso) => {
+    let wd = weekdayCache.get(iso);
+    if (wd === undefined) weekdayCache.set(iso, wd = new Date(iso + 'T00:00:00Z').getUTCDay());
+    return wd;
+  };
+  const inRange = (v, { min, max }) => (min === null || min === undefined || v >= min) && (max === null || max === undefined || v <= max);
+
+  function compileCondition(c) {
+    const values = new Set(c.values || []);
+    switch (c.type) {
+      case 'category': return (r) => values.has(r.category);
+      case 'sales': return (r) => inRange(Number(r.sales) || 0, c);
+      case 'orders': return (r) => inRange(Number(r.orders) || 0, c);
+      case 'customerIn': return (r) => values.has(r.customer_id);
+      case 'customerOut': return (r) => !values.has(r.customer_id);
+      case 'weekday': return (r) => !!r.date && values.has(weekdayOf(r.date)); // 0 = Sunday
+      case 'month': return (r) => !!r.date && values.has(Number(r.date.slice(5, 7)));
+      default: return () => true;
+    }
+  }
+
+  // Conditions that only look at a row's date and category can be answered from the index cells
+  const CELL_CONDITIONS = ['category', 'weekday', 'month'];
+  function indexable(filters) {
+    const conditions = filters.conditions || [];
+    return conditions.every(c => CELL_CONDITIONS.includes(c.type)) && (filters.mode !== 'or' || conditions.length <= 1);
+  }
+
+  /* ========== AGGREGATION ========== */
+
+  // Calls visit(date, category, sales, orders, customerIds) for every index cell inside the date range
+  // that passes the filters; filters that need row-level fields fall back to visiting each row.
+  function eachCell(index, rows, filters, visit) {
+    const keep = rowFilter(filters);
+    if (indexable(filters)) {
+      const start = filters.from ? bisect(index.dates, filters.from, false) : 0;
+      const end = filters.to ? bisect(index.dates, filters.to, true) : index.dates.length;
+      for (let i = start; i < end; i++) {
+        const date = index.dates[i];
+        for (const [cat, cell] of index.byDate.get(date)) {
+          if (keep({ date, category: cat })) visit(date, cat, cell.sales, cell.orders, cell.customers);
+        }
+      }
+      for (const [cat, cell] of index.undated) {
+        if (keep({ date: null, category: cat })) visit(null, cat, cell.sales, cell.orders, cell.customers);
+      }
+    } else {
+      rows.forEach(r => {
+        if (keep(r)) visit(r.date, r.category, Number(r.sales) || 0, Number(r.orders) || 0, r.customer_id ? [r.customer_id] : []);
+      });
+    }
+  }
+
+  // KPIs, sales per category and per-day totals for the given filters. With perCategory the
+  // per-day sales of every category come along too ({ category: { date: sales } }, for anomalies).
+  function aggregate(index, rows, filters, perCategory = false) {
+    let total = 0, orders = 0;
+    const customers = new Set();
+    const categories = {};
+    const days = new Map();
+    const categoryDaily = perCategory ? {} : null;
+    eachCell(index, rows, filters, (date, cat, sales, count, ids) => {
+      total += sales;
+      orders += count;
+      ids.forEach(c => customers.add(c));
+      categories[cat] = (categories[cat] || 0) + sales;
+      if (!date) return;
+      const day = days.get(date) || days.set(date, { date, sales: 0, orders: 0 }).get(date);
+      day.sales += sales;
+      day.orders += count;
+      if (categoryDaily) {
+        const byDate = categoryDaily[cat] || (categoryDaily[cat] = {});
+        byDate[date] = (byDate[date] || 0) + sales;
+      }
+    });
+    const daily = [...days.values()].sort((a, b) => (a.date < b.date ? -1 : 1));
+    return { kpis: { total, avg: total / (orders || 1), customers: customers.size }, categories, daily, categoryDaily };
+  }
+
+  // Every category in the dataset, sorted
+  function indexCategories(index) {
+    const cats = new Set(index.undated.keys());
+    index.byDate.forEach(byCat => byCat.forEach((cell, cat) => cats.add(cat)));
+    return [...cats].sort();
+  }
+
+  /* ========== TABLE ========== */
+
+  const tableCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+  // Search and sort the filtered rows. haystack (a WeakMap) keeps each row's lower-cased text
+  // between searches; it is dropped with the dataset.
+  function tableView(rows, { search, sort }, haystack) {
+    const text = (r) => {
+      let s = haystack.get(r);
+      if (s === undefined) haystack.set(r, s = Object.values(r).join('\u0001').toLowerCase());
+      return s;
+    };
+    const view = search ? rows.filter(r => text(r).includes(search)) : rows.slice();
+    if (sort) {
+      const { col, dir } = sort;
+      view.sort((a, b) => {
+        const x = a[col], y = b[col];
+        if (x === y) return 0;
+        if (x === null || x === undefined || x === '') return 1; // blanks last either way
+        if (y === null || y === undefined || y === '') return -1;
+        return dir * (typeof x === 'number' && typeof y === 'number' ? x - y : tableCollator.compare(String(x), String(y)));
+      });
+    }
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+    return { view, columns, footer: tableFooter(rows, view, columns) };
+  }
+
+  // Footer of each column over every row matching the search: original amounts summed per currency,
+  // other numbers as { sum, avg }, anything else as a distinct count
+  function tableFooter(rows, view, columns) {
+    const numeric = columns.filter(c => rows.some(r => typeof r[c] === 'number'));
+    const footer = {};
+    columns.forEach(c => {
+      if (c === 'amount') {
+        const sums = {};
+        view.forEach(r => { sums[r.currency] = (sums[r.currency] || 0) + (Number(r.amount) || 0); });
+        footer[c] = { sums };
+      } else if (numeric.includes(c)) {
+        const sum = view.reduce((s, r) => s + (Number(r[c]) || 0), 0);
+        footer[c] = { sum, avg: view.length ? sum / view.length : 0 };
+      } else {
+        footer[c] = { distinct: new Set(view.map(r => r[c]).filter(v => v !== null && v !== '')).size };
+      }
+    });
+    return footer;
+  }
+
+  /* ========== PIVOT ========== */
+
+  const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  // Built-in pivot fields (the page holds their labels); weekdays sort Monday first
+  const PIVOT_FIELDS = {
+    category: { get: r => r.category || '(none)' },
+    year: { get: r => (r.date ? r.date.slice(0, 4) : '(no date)') },
+    quarter: { get: r => (r.date ? `${r.date.slice(0, 4)}-Q${Math.ceil(Number(r.date.slice(5, 7)) / 3)}` : '(no date)') },
+    month: { get: r => (r.date ? r.date.slice(0, 7) : '(no date)') },
+    weekday: { get: r => (r.date ? WEEKDAY_NAMES[weekdayOf(r.date)] : '(no date)'), order: v => (WEEKDAY_NAMES.indexOf(v) + 6) % 7 },
+    customer: { get: r => r.customer_id || '(none)' },
+    currency: { get: r => r.currency || BASE_CURRENCY }
+  };
+  const CALC_VARIABLES = ['date', 'category', 'sales', 'orders', 'customer_id', 'currency', 'amount', 'year', 'month', 'quarter', 'weekday'];
+
+  // What a calculated-field expression sees for one row
+  function calcScope(r) {
+    const month = r.date ? Number(r.date.slice(5, 7)) : null;
+    return {
+      date: r.date || '',
+      category: r.category || '',
+      sales: Number(r.sales) || 0,
+      orders: Number(r.orders) || 0,
+      customer_id: r.customer_id || '',
+      currency: r.currency || BASE_CURRENCY,
+      amount: Number(r.amount ?? r.sales) || 0,
+      year: r.date ? Number(r.date.slice(0, 4)) : null,
+      month,
+      quarter: month ? Math.ceil(month / 3) : null,
+      weekday: r.date ? WEEKDAY_NAMES[weekdayOf(r.date)] : null,
+    };
+  }
+
+  // Calculated fields are keyed 'calc:<name>' ({ name, expr } in calcFields); a broken or missing one resolves to null
+  function calcFunction(key, calcFields) {
+    const field = (calcFields || []).find(f => 'calc:' + f.name === key);
+    if (!field) return null;
+    try {
+      const fn = root.Analytics.compileExpression(field.expr, CALC_VARIABLES);
+      return (r) => fn(calcScope(r));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function pivotField(key, calcFields) {
+    if (Object.prototype.hasOwnProperty.call(PIVOT_FIELDS, key)) return PIVOT_FIELDS[key];
+    const fn = calcFunction(key, calcFields);
+    if (!fn) return null;
+    return {
+      get: (r) => {
+        const v = fn(r);
+        return v === null || v === undefined || Number.isNaN(v) ? '(blank)' : v;
+      },
+    };
+  }
+
+  function pivotValue(key, calcFields) {
+    if (key === 'sales' || key === 'orders') return (r) => Number(r[key]) || 0;
+    if (key === 'customer_id') return (r) => r.customer_id || '(none)';
+    return calcFunction(key, calcFields);
+  }
+
+  // The pivot as display-ready lines: leaf rows, subtotals after each outer group, then the grand total.
+  // spec: { rows, cols, value, agg, display: 'value' | 'row' | 'col' | 'total', calcFields }.
+  // Only the first `limit` leaf rows (and their subtotals) come back, with the leaf count and the
+  // largest leaf cell for heatmap shading; null when the spec has nothing to show.
+  function pivotLines(rows, spec, limit = Infinity) {
+    const rowFields = spec.rows.map(k => pivotField(k, spec.calcFields)).filter(Boolean);
+    const colFields = spec.cols.map(k => pivotField(k, spec.calcFields)).filter(Boolean);
+    const value = pivotValue(spec.value, spec.calcFields);
+    if (!value || (!rowFields.length && !colFields.length)) return null;
+    const pivot = root.Analytics.pivotTable(rows, { rowFields, colFields, value, agg: spec.agg });
+    const display = spec.display;
+    const show = (v, rk, ck) => {
+      if (v === null || display === 'value') return v;
+      const base = display === 'row' ? pivot.cell(rk, null) : display === 'col' ? pivot.cell([], ck) : pivot.cell([], null);
+      return base ? v / base : null;
+    };
+    const withTotal = colFields.length > 0;
+    const line = (kind, key) => ({
+      kind,
+      key,
+      cells: pivot.colKeys.map(ck => show(pivot.cell(key, ck), key, ck)),
+      total: withTotal ? show(pivot.cell(key, null), key, null) : null,
+    });
+    const lines = [];
+    pivot.rowKeys.forEach((rk, i) => {
+      lines.push(line('row', rk));
+      const next = pivot.rowKeys[i + 1];
+      for (let depth = rk.length - 1; depth >= 1; depth--) {
+        const prefix = rk.slice(0, depth);
+        if (!next || next.slice(0, depth).join('\u0001') !== prefix.join('\u0001')) lines.push(line('subtotal', prefix));
+      }
+    });
+    if (rowFields.length) lines.push(line('total', []));
+
+    let max = 0, shown = 0;
+    lines.forEach(l => {
+      if (l.kind === 'row') l.cells.forEach(v => { if (Math.abs(v || 0) > max) max = Math.abs(v || 0); });
+    });
+    const visible = lines.filter(l => (l.kind === 'row' ? ++shown <= limit : l.kind === 'total' || shown <= limit));
+    return { colKeys: pivot.colKeys, lines: visible, leafCount: pivot.rowKeys.length, max, withTotal };
+  }
+
+  /* ========== PIPELINE ========== */
+
+  // Message handler holding the import state. `post` delivers { type: 'progress' | 'result' | 'error', id, ... }.
+  function createPipeline(post) {
+    const state = { raw: [], headers: [], standardized: [], quality: null, rows: [], index: buildIndex([]) };
+
+    // A new dataset: rebuild the index and drop everything cached from the old one
+    const setRows = (rows) => {
+      Object.assign(state, { rows, index: buildIndex(rows), filtered: null, table: null, cohorts: null, haystack: new WeakMap() });
+      return { rowCount: rows.length, categories: indexCategories(state.index) };
+    };
+
+    // Rows passing the filters, kept while the table, pivot and cohorts ask for the same filters
+    const filtered = (filters) => {
+      const key = JSON.stringify(filters);
+      if (state.filtered?.key !== key) state.filtered = { key, rows: state.rows.filter(rowFilter(filters)) };
+      return state.filtered.rows;
+    };
+
+    // Keep the parsed rows; answers with headers and a few sample values each
+    const parsed = (id, raw, headers) => {
+      Object.assign(state, { raw, headers });
+      const samples = {};
+      headers.forEach(h => {
+        samples[h] = [];
+        for (const r of raw) {
+          const v = r[h];
+          if (v !== undefined && v !== null && String(v).trim() !== '') samples[h].push(String(v).trim());
+          if (samples[h].length === 3) break;
+        }
+      });
+      post({ type: 'result', id, headers, samples, rowCount: raw.length });
+    };
+
+    const handlers = {
+      // Delimited text from a file or a string (pasted table), streamed in chunks with progress.
+      // delimiter '' lets PapaParse pick between comma, tab, semicolon and pipe.
+      parse({ id, file, text, delimiter = '' }) {
+        const raw = [];
+        let headers = [];
+        const size = file ? file.size : text.length;
+        Papa.parse(file || text, {
+          header: true,
+          skipEmptyLines: true,
+          delimiter,
+          delimitersToGuess: [',', '\t', ';', '|'],
+          chunkSize: 2 * 1024 * 1024,
+          chunk: (results) => {
+            if (!headers.length) headers = (results.meta.fields || []).filter(h => h && h.trim());
+            for (const r of results.data) raw.push(r);
+            post({ type: 'progress', id, loaded: Math.min(results.meta.cursor, size), total: size });
+          },
+          complete: () => parsed(id, raw, headers),
+          error: (err) => post({ type: 'error', id, message: err.message })
+        });
+      },
+
+      parseJson({ id, file, text }) {
+        (file ? file.text() : Promise.resolve(text))
+          .then(t => {
+            const records = jsonRecords(JSON.parse(t));
+            if (!records.length) throw new Error('no records found in the JSON');
+            parsed(id, records, recordHeaders(records));
+          })
+          .catch(err => post({ type: 'error', id, message: err.message }));
+      },
+
+      // Rows read on the page (Excel sheets): [{ header: value }]
+      records({ id, headers, records }) {
+        parsed(id, records, headers);
+      },
+
+      detect({ id, mapping, formats }) {
+        post({ type: 'result', id, formats: detectFormats(state.raw, mapping, formats || {}) });
+      },
+
+      // Answers with counts and the first 20 rows of every issue class (the full lists stay here)
+      standardize({ id, mapping, formats }) {
+        if (!state.raw.length) throw new Error('no rows have been read — import the file again');
+        const resolved = detectFormats(state.raw, mapping, formats);
+        const { rows, quality } = standardizeRows(state.raw, mapping, resolved);
+        state.standardized = rows;
+        state.quality = quality;
+        const issues = {};
+        for (const [key, list] of Object.entries(quality.issues)) {
+          issues[key] = { count: list.length, samples: list.slice(0, 20) };
+        }
+        const affected = new Set(Object.values(quality.issues).flat().map(i => i.index)).size;
+        post({ type: 'result', id, quality: { total: quality.total, affected, issues }, formats: resolved });
+      },
+
+      // currency: { reporting, rates } for convertRows
+      clean({ id, choices, currency }) {
+        const cleaned = cleanRows(state.standardized, state.quality, choices);
+        const rows = convertRows(cleaned.rows, currency);
+        const { excluded, fixed } = cleaned;
+        post({ type: 'result', id, rows, excluded, fixed, ...setRows(rows) });
+      },
+
+      // Use already standardized rows as the dataset (sample data, or restoring after a cancel)
+      load({ id, rows }) {
+        post({ type: 'result', id, ...setRows(rows) });
+      },
+
+      aggregate({ id, filters, perCategory }) {
+        post({ type: 'result', id, ...aggregate(state.index, state.rows, filters, perCategory) });
+      },
+
+      // One page of the filtered, searched and sorted rows plus the column footers
+      table({ id, filters, search, sort, page, size }) {
+        const rows = filtered(filters);
+        const key = JSON.stringify([state.filtered.key, search, sort]);
+        if (state.table?.key !== key) state.table = { key, ...tableView(rows, { search, sort }, state.haystack) };
+        const { view, columns, footer } = state.table;
+        const pages = Math.max(1, Math.ceil(view.length / size));
+        const current = Math.max(0, Math.min(page, pages - 1));
+        const start = current * size;
+        post({ type: 'result', id, rows: view.slice(start, start + size), page: current, pages, start, matched: view.length, total: rows.length, columns, footer });
+      },
+
+      // limit: leaf rows to send (null for all of them, e.g. for the CSV export)
+      pivot({ id, filters, spec, limit }) {
+        post({ type: 'result', id, pivot: pivotLines(filtered(filters), spec, limit ?? Infinity) });
+      },
+
+      // Cohorts need each customer's whole history, so only category conditions apply
+      cohorts({ id, categories }) {
+        const key = JSON.stringify(categories);
+        if (state.cohorts?.key !== key) {
+          const rows = state.rows.filter(rowFilter({ mode: 'and', conditions: categories }));
+          state.cohorts = { key, result: root.Analytics.cohortRetention(rows) };
+        }
+        post({ type: 'result', id, ...state.cohorts.result });
+      }
+    };
+
+    return (msg) => {
+      try {
+        handlers[msg.type](msg);
+      } catch (err) {
+        post({ type: 'error', id: msg.id, message: err.message });
+      }
+    };
+  }
+
+  root.DataPipeline = {
+    QUALITY_CHECKS, BASE_CURRENCY, parseNumber, isNumeric, normalizeDate, detectFormats,
+    normalizeCurrency, convertRows, standardizeRows, cleanRows, median, flattenRecord, jsonRecords,
+    rowFilter, buildIndex, aggregate, tableView, CALC_VARIABLES, pivotLines, createPipeline
+  };
+})(self);
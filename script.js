@@ -1,9 +1,31 @@
 /* script.js — interactive behaviors for the data analyst portfolio
    Features:
    - CSV upload (via PapaParse) or sample data
+   - Also TSV / semicolon text, JSON (nested fields flattened) and Excel (sheet + header row picker);
+     files can be dropped on the demo or a table pasted from the clipboard
+   - Parsing, cleaning and aggregation run in a Web Worker (worker.js + pipeline.js) with progress and cancel;
+     the table, pivot and cohorts are computed there too and only the visible part comes back
+   - Uploads are kept in IndexedDB: dataset picker, delete, append a new file with de-duplication
+   - Column-mapping step for uploads (remembered per header set)
+   - Data-quality report with exclude / keep / fix choices per issue type
+   - Date-order and decimal-separator detection over whole columns (or chosen by hand)
+   - Filter builder (categories, numeric ranges, customers, weekday, month; AND/OR) with removable chips
+   - Cross-filtering: clicking a category bar or a time point adds the matching filter
+   - Dashboard state in the URL hash (#dash=...) and named saved views (export / import as JSON)
    - Compute KPIs: total sales, avg order, unique customers
+   - Compare KPIs (and the time chart) with the previous period or the same period last year
    - Render Chart.js charts: sales by category (bar) and sales over time (line)
-   - Sho table with simple pagination
+   - Time chart by day / ISO week / month / quarter with moving-average and cumulative overlays
+   - Forecast of the next periods (Holt-Winters or linear trend + seasonality) with intervals and a backtest
+   - Anomaly flags (rolling z-score / IQR) for the total and per category; dated notes saved with the dataset
+   - Data table with sorting, search, pagination and column totals
+   - Cohort retention heatmap (customers or revenue), repeat-purchase rate, days between orders
+   - Drag-and-drop pivot builder with calculated fields, subtotals, percent-of views, charts and CSV export
+   - Customer segmentation modal: RFM scores, named segments or k-means clusters, CSV export (analytics.js)
+   - A/B test calculator modal: Wilson intervals, z-test, P(beat control), sample size / power
+   - Chart downloads (PNG at 1x/2x/4x, vector SVG) and a printable report of the current view
+   - Currency column (mapped or read off the amounts) converted to a reporting currency with editable rates
+   - Dashboard text in English, Uzbek or Russian; numbers and money in that locale (compact for large UZS)
    - Small modal for quick project info
 */
 
@@ -11,240 +33,2201 @@
   // Utility helpers
   const $ = (sel) => document.querySelector(sel);
   const $$ = (sel) => Array.from(document.querySelectorAll(sel));
-  const fmtCurrency = (v) => '$' + Number(v).toLocaleString();
-  const parseNumber = (v) => {
-    if (v === null || v === undefined || v === '') return 0;
-    const n = Number(String(v).replace(/[^0-9.\-]/g, ''));
-    return isNaN(n) ? 0 : n;
+  const t = (text, vars) => I18N.translate(language, text, vars);
+  const pad2 = (n) => String(n).padStart(2, '0');
+  const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key); // lookups by keys from links and files
+  const { QUALITY_CHECKS } = DataPipeline;
+
+  // DOM elements
+  const csvFile = $('#csvFile');
+  const useSample = $('#useSample');
+  const filterType = $('#filterType');
+  const filterMode = $('#filterMode');
+  const filterEditor = $('#filterEditor');
+  const filterChips = $('#filterChips');
+  const dateFrom = $('#dateFrom');
+  const dateTo = $('#dateTo');
+  const kpiTotal = $('#kpiTotal');
+  const kpiAvg = $('#kpiAvg');
+  const kpiCust = $('#kpiCust');
+  const timeGranularity = $('#timeGranularity');
+  const movingAvg = $('#movingAvg');
+  const showCumulative = $('#showCumulative');
+  const comparePeriod = $('#comparePeriod');
+  const showComparison = $('#showComparison');
+  const forecastMethod = $('#forecastMethod');
+  const forecastHorizon = $('#forecastHorizon');
+  const anomalyMethod = $('#anomalyMethod');
+  const tableContainer = $('#tableContainer');
+  const tableSearch = $('#tableSearch');
+  const pageSize = $('#pageSize');
+  const tablePager = $('#tablePager');
+  const cohortMeasure = $('#cohortMeasure');
+  const savedViewSelect = $('#savedViewSelect');
+  const datasetSelect = $('#datasetSelect');
+  const importTarget = $('#importTarget');
+  const downloadCsv = $('#downloadCsv');
+  const editMapping = $('#editMapping');
+  const mappingPanel = $('#mappingPanel');
+  const sheetPanel = $('#sheetPanel');
+  const sheetSelect = $('#sheetSelect');
+  const sheetHeaderRow = $('#sheetHeaderRow');
+  const qualityPanel = $('#qualityPanel');
+  const reviewQuality = $('#reviewQuality');
+  const importProgress = $('#importProgress');
+  const languageSelect = $('#languageSelect');
+  const reportingCurrency = $('#reportingCurrency');
+  const ratesPanel = $('#ratesPanel');
+
+  // Charts
+  let chartCategory = null;
+  let chartTime = null;
+  let chartSeg = null;
+  let chartAb = null;
+  let chartPivot = null;
+
+  // Table state: the worker filters, searches and sorts; result is the page it sent back
+  const table = { sort: null, search: '', page: 0, result: null, token: 0 };
+
+  // Data store
+  let rawData = []; // array of objects (cleaned rows, kept for saving and export; the worker has its own copy plus indexes)
+  let datasetCategories = []; // every category in the loaded dataset, from the worker's index
+  let lastImport = null; // { headers, samples, mapping, formats, quality, choices } of the latest upload
+  let dashboardView = null; // last aggregation result: { agg, range, cmp }
+  let refreshToken = 0;
+  let cohortToken = 0;
+  let pivotToken = 0;
+
+  // Filter builder state; the date inputs are kept separately and always apply
+  const filterState = { mode: 'and', conditions: [] };
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const VIEWS_STORE_KEY = 'jda.savedViews';
+
+  // Stored datasets: IndexedDB 'datasets' holds metadata, 'rows' the cleaned rows under the same id
+  const DB_NAME = 'jda-datasets';
+  const ACTIVE_DATASET_KEY = 'jda.activeDataset';
+  const SAMPLE_ID = '__sample__';
+  let activeDatasetId = SAMPLE_ID;
+  let datasetList = []; // metadata from the last listing
+  let dbPromise = null;
+  const SAMPLE_NOTES_KEY = 'jda.sampleAnnotations';
+  let annotations = []; // [{ id, date, text }] pinned to the active dataset
+
+  // Currency / language settings (localStorage). Rates are units per 1 USD (DataPipeline.BASE_CURRENCY).
+  const CURRENCY_STORE_KEY = 'jda.currency';
+  const LANGUAGE_STORE_KEY = 'jda.language';
+  const DEFAULT_RATES = { USD: 1, EUR: 0.92, GBP: 0.79, RUB: 92, KZT: 480, UZS: 12650 };
+  const COMPACT_FROM = { UZS: 1e6 }; // amounts from here on are shown as 12.6 mln
+  let currencySettings = readCurrencySettings(); // { reporting, rates }
+  let language = readLanguage();
+  let rateDraft = null; // rates being edited in the panel
+  const formatters = new Map();
+  const FILTER_LABELS = {
+    category: 'Category',
+    sales: 'Sales',
+    orders: 'Orders',
+    customerIn: 'Customers',
+    customerOut: 'Not customers',
+    weekday: 'Weekday',
+    month: 'Month'
   };
 
-  // DOM elements
-  const csvFile = $('#csvFile');
-  const useSample = $('#useSample');
-  const categoryFilter = $('#categoryFilter');
-  const dateFrom = $('#dateFrom');
-  const dateTo = $('#dateTo');
-  const kpiTotal = $('#kpiTotal');
-  const kpiAvg = $('#kpiAvg');
-  const kpiCust = $('#kpiCust');
-  const tableContainer = $('#tableContainer');
-  const downloadCsv = $('#downloadCsv');
+  // Standard fields every row is mapped onto, with header aliases used for suggestions
+  const FIELDS = [
+    { key: 'date', label: 'Date', aliases: ['date', 'timestamp', 'order_date', 'orderdate', 'day', 'created_at', 'sana'], fallback: 'row is left out of the time chart' },
+    { key: 'category', label: 'Category', aliases: ['category', 'product_category', 'segment', 'group', 'type', 'kategoriya'], fallback: "'Unknown'" },
+    { key: 'sales', label: 'Sales', aliases: ['sales', 'revenue', 'amount', 'total', 'price', 'value', 'summa'], fallback: '0' },
+    { key: 'orders', label: 'Orders', aliases: ['orders', 'qty', 'quantity', 'units', 'count', 'soni'], fallback: '1 per row' },
+    { key: 'customer_id', label: 'Customer ID', aliases: ['customer_id', 'customer', 'user_id', 'client_id', 'client', 'mijoz'], fallback: 'empty' },
+    { key: 'currency', label: 'Currency', aliases: ['currency', 'currency_code', 'ccy', 'valyuta', 'valuta'], fallback: 'sign next to the amount, else the default below' }
+  ];
+  const MAPPING_STORE_KEY = 'jda.columnMappings';
+
+  // Import formats offered in the mapping step; 'auto' is resolved per file by detectFormats
+  const DATE_FORMATS = {
+    auto: 'Auto-detect',
+    iso: 'ISO (2025-03-04)',
+    dmy: 'Day/Month/Year',
+    mdy: 'Month/Day/Year',
+    ymd: 'Year/Month/Day',
+    excel: 'Excel serial (45720)',
+    text: 'Text (Mar 4, 2025)'
+  };
+  const NUMBER_FORMATS = {
+    auto: 'Auto-detect',
+    dot: '1,234.56 (dot decimal)',
+    comma: '1.234,56 (comma decimal)'
+  };
+
+  // Init page
+  document.addEventListener('DOMContentLoaded', () => {
+    $('#year').textContent = new Date().getFullYear();
+    languageSelect.value = language;
+    renderCurrencyOptions();
+    translatePage();
+    startWorker();
+    attachHandlers();
+    renderSavedViews();
+    if (location.hash.startsWith('#dash=')) {
+      applyUrlState();
+      $('#live-demo').scrollIntoView();
+    }
+    restoreActiveDataset(); // last used dataset, or the sample for an instant demo
+  });
+
+  function attachHandlers() {
+    csvFile.addEventListener('change', (e) => {
+      if (e.target.files[0]) importFile(e.target.files[0]);
+      e.target.value = ''; // allow re-selecting the same file
+    });
+    useSample.addEventListener('click', (e) => {
+      e.preventDefault();
+      useSampleData();
+    });
+    filterType.addEventListener('change', () => {
+      if (filterType.value) openFilterEditor(filterType.value);
+    });
+    filterMode.addEventListener('change', () => {
+      filterState.mode = filterMode.value;
+      refreshDashboard();
+    });
+    filterEditor.addEventListener('click', (e) => {
+      if (e.target.id === 'applyFilter') applyFilterEditor();
+      if (e.target.id === 'cancelFilter') closeFilterEditor();
+    });
+    filterChips.addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+      if (btn.dataset.remove === 'dates') {
+        dateFrom.value = '';
+        dateTo.value = '';
+        refreshDashboard();
+      } else if (btn.dataset.remove) {
+        filterState.conditions = filterState.conditions.filter(c => c.type !== btn.dataset.remove);
+        refreshDashboard();
+      } else if (btn.dataset.edit) {
+        openFilterEditor(btn.dataset.edit);
+      } else if (btn.dataset.clear !== undefined) {
+        filterState.conditions = [];
+        dateFrom.value = '';
+        dateTo.value = '';
+        refreshDashboard();
+      }
+    });
+    dateFrom.addEventListener('change', refreshDashboard);
+    dateTo.addEventListener('change', refreshDashboard);
+    comparePeriod.addEventListener('change', refreshDashboard);
+    [timeGranularity, movingAvg, showCumulative, showComparison, forecastMethod, forecastHorizon, anomalyMethod].forEach(el => {
+      el.addEventListener('change', () => {
+        renderTimeSeries(dashboardView);
+        syncUrlState();
+      });
+    });
+    $('#contactForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      alert(t('Thanks! Message sent (demo).'));
+      e.target.reset();
+    });
+    $$('.mini-btn[data-demo]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const demo = e.currentTarget.getAttribute('data-demo');
+        openModalDemo(demo);
+      });
+    });
+    $('.modal .close')?.addEventListener('click', closeModal);
+    downloadCsv.addEventListener('click', () => {
+      downloadCleanCsv(rawData);
+    });
+    editMapping.addEventListener('click', () => {
+      if (lastImport) openMappingWizard(lastImport.mapping, lastImport.formats);
+    });
+    sheetSelect.addEventListener('change', () => selectSheet());
+    sheetHeaderRow.addEventListener('input', () => drawSheetPreview());
+    $('#applySheet').addEventListener('click', applySheet);
+    $('#cancelSheet').addEventListener('click', () => {
+      sheetPanel.classList.add('hidden');
+      sheetImport = null;
+    });
+    attachDropHandlers();
+    document.addEventListener('paste', handlePaste);
+    languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+    reportingCurrency.addEventListener('change', () => {
+      saveCurrencySettings({ ...currencySettings, reporting: reportingCurrency.value });
+    });
+    $('#editRates').addEventListener('click', openRatesPanel);
+    $('#addCurrency').addEventListener('click', addRateRow);
+    $('#resetRates').addEventListener('click', () => {
+      rateDraft = { ...DEFAULT_RATES };
+      renderRateTable();
+    });
+    $('#applyRates').addEventListener('click', applyRatesFromPanel);
+    $('#closeRates').addEventListener('click', () => ratesPanel.classList.add('hidden'));
+    $('#rateTable').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-remove-rate]');
+      if (!btn) return;
+      readRateInputs();
+      delete rateDraft[btn.dataset.removeRate];
+      renderRateTable();
+    });
+    $('#applyMapping').addEventListener('click', applyMappingFromWizard);
+    $('#cancelMapping').addEventListener('click', () => mappingPanel.classList.add('hidden'));
+    reviewQuality.addEventListener('click', () => {
+      if (lastImport?.quality) openQualityPanel();
+    });
+    $('#applyQuality').addEventListener('click', applyQualityFromPanel);
+    $('#cancelImport').addEventListener('click', cancelImport);
+    cohortMeasure.addEventListener('change', renderCohorts);
+    attachPivotHandlers();
+    $$('.chart-export').forEach(box => box.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-export]');
+      if (btn) exportChart(box.dataset.chart, btn.dataset.export, Number(box.querySelector('select').value));
+    }));
+    $('#generateReport').addEventListener('click', generateReport);
+    $('#addAnnotation').addEventListener('click', addAnnotation);
+    $('#annotationList').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-id]');
+      if (btn) removeAnnotation(btn.dataset.id);
+    });
+    datasetSelect.addEventListener('change', () => {
+      if (datasetSelect.value === SAMPLE_ID) useSampleData();
+      else loadDataset(datasetSelect.value);
+    });
+    $('#deleteDataset').addEventListener('click', deleteActiveDataset);
+    importTarget.addEventListener('change', () => {
+      $('#dedupeKeys').classList.toggle('hidden', importTarget.value !== 'append');
+    });
+    window.addEventListener('hashchange', () => {
+      // a pasted #dash= link in the same tab
+      if (!location.hash.startsWith('#dash=')) return;
+      applyUrlState();
+      refreshDashboard();
+    });
+    savedViewSelect.addEventListener('change', () => {
+      const view = readSavedViews().find(v => v.id === savedViewSelect.value);
+      if (!view) return;
+      applyState(view.state);
+      refreshDashboard();
+    });
+    $('#saveView').addEventListener('click', saveCurrentView);
+    $('#renameView').addEventListener('click', renameSelectedView);
+    $('#deleteView').addEventListener('click', deleteSelectedView);
+    $('#exportViews').addEventListener('click', exportViews);
+    $('#importViews').addEventListener('change', importViews);
+    $('#copyViewLink').addEventListener('click', () => {
+      syncUrlState();
+      navigator.clipboard?.writeText(location.href)
+        .then(() => alert(t('Link copied.')))
+        .catch(() => prompt(t('Copy this link:'), location.href));
+    });
+    let searchTimer = null;
+    tableSearch.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        table.search = tableSearch.value.trim().toLowerCase();
+        table.page = 0;
+        updateTableView();
+      }, 200);
+    });
+    pageSize.addEventListener('change', () => {
+      table.page = 0;
+      updateTableView();
+    });
+    tableContainer.addEventListener('click', (e) => {
+      const th = e.target.closest('th[data-col]');
+      if (!th) return;
+      const col = th.dataset.col;
+      table.sort = table.sort?.col === col && table.sort.dir === 1 ? { col, dir: -1 } : { col, dir: 1 };
+      updateTableView();
+    });
+    tablePager.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-page]');
+      if (!btn) return;
+      table.page = Number(btn.dataset.page);
+      updateTableView();
+    });
+  }
+
+  /* ========== FILE IMPORT ========== */
+
+  const XLSX_URL = 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js';
+  let sheetImport = null; // { fileName, workbook, rows: { sheet name: converted rows } } while the sheet picker is open
+
+  // Route a file by extension; every format ends up as header -> value records in the pipeline
+  function importFile(f) {
+    const ext = (f.name.match(/\.([^.]+)$/) || [])[1]?.toLowerCase();
+    const fileName = f.name.replace(/\.[^.]+$/, '');
+    if (ext === 'xlsx' || ext === 'xls') {
+      openWorkbook(f, fileName);
+      return;
+    }
+    const reading = t('Reading {name}…', { name: f.name });
+    const progress = (loaded, total) => showProgress(reading, loaded / total);
+    showProgress(reading, ext === 'json' ? null : 0);
+    const call = ext === 'json'
+      ? callWorker('parseJson', { file: f })
+      : callWorker('parse', { file: f, delimiter: ext === 'tsv' ? '\t' : '' }, progress);
+    call.then(reply => startMapping(fileName, reply))
+      .catch(handleWorkerError(ext === 'json' ? 'JSON parse error' : 'CSV parse error'));
+  }
+
+  // A table pasted as text: tab-separated from spreadsheets, or CSV / semicolon / JSON
+  function importText(text) {
+    const json = /^\s*[\[{]/.test(text);
+    showProgress(t('Reading pasted data…'), null);
+    callWorker(json ? 'parseJson' : 'parse', { text })
+      .then(reply => startMapping(t('Pasted data'), reply))
+      .catch(handleWorkerError(json ? 'JSON parse error' : 'Paste error'));
+  }
+
+  function startMapping(fileName, { headers, samples }) {
+    hideProgress();
+    if (!headers.length) {
+      alert(t('No columns found in {name}.', { name: fileName }));
+      return;
+    }
+    lastImport = { fileName, headers, samples, mapping: null, formats: null };
+    const saved = loadSavedMapping(headers);
+    if (saved) applyMapping(saved.mapping, saved.formats);
+    else openMappingWizard(suggestMapping(headers, samples), { date: 'auto', number: 'auto' });
+  }
+
+  // SheetJS is only fetched the first time a workbook is opened
+  function loadXlsx() {
+    if (window.XLSX) return Promise.resolve(window.XLSX);
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = XLSX_URL;
+      script.onload = () => resolve(window.XLSX);
+      script.onerror = () => reject(new Error('could not load the Excel reader'));
+      document.head.appendChild(script);
+    });
+  }
+
+  function openWorkbook(f, fileName) {
+    showProgress(t('Reading {name}…', { name: f.name }), null);
+    Promise.all([loadXlsx(), f.arrayBuffer()])
+      .then(([XLSX, buffer]) => {
+        const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+        hideProgress();
+        sheetImport = { fileName, workbook, rows: {} };
+        sheetSelect.innerHTML = workbook.SheetNames.map(n => `<option value="${escapeHtml(n)}">${escapeHtml(n)}</option>`).join('');
+        selectSheet();
+        sheetPanel.classList.remove('hidden');
+      })
+      .catch((err) => {
+        hideProgress();
+        alert(t('Excel read error: {message}', { message: err.message }));
+      });
+  }
+
+  // The selected sheet as an array of string rows (dates as YYYY-MM-DD); blank rows kept so numbers match Excel.
+  // Each sheet is converted once; changing the header row only re-slices it.
+  function sheetRows() {
+    const name = sheetSelect.value;
+    if (!sheetImport.rows[name]) {
+      const ws = sheetImport.workbook.Sheets[name];
+      sheetImport.rows[name] = window.XLSX.utils.sheet_to_json(ws, { header: 1, raw: true, defval: '', blankrows: true })
+        .map(row => row.map(v => {
+          if (v instanceof Date) return `${v.getFullYear()}-${pad2(v.getMonth() + 1)}-${pad2(v.getDate())}`;
+          return String(v).trim();
+        }));
+    }
+    return sheetImport.rows[name];
+  }
+
+  // New sheet: header row defaults to the first row with at least two filled cells
+  function selectSheet() {
+    const rows = sheetRows();
+    const first = rows.findIndex(r => r.filter(Boolean).length >= 2);
+    sheetHeaderRow.value = first < 0 ? 1 : first + 1;
+    sheetHeaderRow.max = Math.max(rows.length, 1);
+    drawSheetPreview(rows);
+  }
+
+  function drawSheetPreview(rows = sheetRows()) {
+    const headerIndex = Number(sheetHeaderRow.value) - 1;
+    const width = Math.max(0, ...rows.slice(0, 12).map(r => r.length));
+    const html = ['<table class="data-table"><tbody>'];
+    rows.slice(0, 12).forEach((row, i) => {
+      const cells = Array.from({ length: width }, (_, c) => `<td>${escapeHtml(row[c] ?? '')}</td>`).join('');
+      html.push(`<tr${i === headerIndex ? ' class="sheet-header"' : ''}><td class="muted">${i + 1}</td>${cells}</tr>`);
+    });
+    html.push('</tbody></table>');
+    $('#sheetPreview').innerHTML = rows.length ? html.join('') : `<p class="muted">${t('This sheet is empty.')}</p>`;
+  }
+
+  // Rows below the chosen header row become records; blank and repeated headers get unique names
+  function applySheet() {
+    const rows = sheetRows();
+    const headerIndex = Number(sheetHeaderRow.value) - 1;
+    if (!rows[headerIndex]) {
+      alert(t('Pick a header row between 1 and {count}.', { count: rows.length }));
+      return;
+    }
+    const seen = {};
+    const headers = rows[headerIndex].map((h, i) => {
+      const name = h || `Column ${i + 1}`;
+      seen[name] = (seen[name] || 0) + 1;
+      return seen[name] > 1 ? `${name} (${seen[name]})` : name;
+    });
+    const records = rows.slice(headerIndex + 1)
+      .filter(r => r.some(Boolean))
+      .map(r => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? ''])));
+    sheetPanel.classList.add('hidden');
+    const name = sheetImport.workbook.SheetNames.length > 1 ? `${sheetImport.fileName} — ${sheetSelect.value}` : sheetImport.fileName;
+    sheetImport = null;
+    callWorker('records', { headers, records })
+      .then(reply => startMapping(name, reply))
+      .catch(handleWorkerError('Excel import error'));
+  }
+
+  // Files dropped anywhere on the demo section
+  function attachDropHandlers() {
+    const zone = $('#live-demo');
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+    zone.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      zone.classList.add('drag-over');
+    });
+    zone.addEventListener('dragleave', (e) => {
+      if (!zone.contains(e.relatedTarget)) zone.classList.remove('drag-over');
+    });
+    zone.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      zone.classList.remove('drag-over');
+      if (e.dataTransfer.files[0]) importFile(e.dataTransfer.files[0]);
+    });
+  }
+
+  // Ctrl+V outside form fields: a copied file, JSON, or a copied table (at least a header and one row)
+  function handlePaste(e) {
+    const target = e.target;
+    if (target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+    const file = e.clipboardData?.files?.[0];
+    if (file) {
+      e.preventDefault();
+      importFile(file);
+      return;
+    }
+    const text = e.clipboardData?.getData('text/plain') || '';
+    const lines = text.trim().split(/\r?\n/);
+    const json = /^\s*[\[{]/.test(text); // one line or pretty-printed
+    if (!json && (lines.length < 2 || !/[\t,;]/.test(lines[0]))) return;
+    e.preventDefault();
+    importText(text);
+  }
+
+  /* ========== WORKER ========== */
+
+  let worker = null;
+  let nextCallId = 0;
+  const pending = new Map(); // call id -> { resolve, reject, onProgress }
+
+  // worker.js when the browser allows it (not from file://), else the same pipeline on this thread
+  function startWorker() {
+    try {
+      worker = new Worker('worker.js');
+    } catch (err) {
+      startInPagePipeline();
+      return;
+    }
+    worker.addEventListener('message', onWorkerMessage);
+    worker.addEventListener('error', onWorkerFailure);
+    worker.addEventListener('messageerror', onWorkerFailure);
+  }
+
+  function startInPagePipeline() {
+    const handle = DataPipeline.createPipeline((msg) => setTimeout(() => onWorkerMessage({ data: msg })));
+    worker = { postMessage: (msg) => setTimeout(() => handle(msg)), terminate() {} };
+  }
+
+  // The worker failed to start (e.g. the PapaParse CDN is unreachable) or died: fail the calls it
+  // was answering, then carry on with the in-page pipeline and hand it the current dataset.
+  // The parsed file went with the old worker, so the import in progress can't be re-mapped.
+  function onWorkerFailure(e) {
+    e.preventDefault?.();
+    worker.terminate();
+    const err = new Error('the background worker stopped' + (e.message ? ` (${e.message})` : ''));
+    pending.forEach(call => call.reject(err));
+    pending.clear();
+    startInPagePipeline();
+    hideProgress();
+    resetImportUi();
+    callWorker('load', { rows: rawData }).then(afterDataLoad).catch(handleWorkerError('Load error'));
+  }
+
+  function onWorkerMessage(e) {
+    const msg = e.data;
+    const call = pending.get(msg.id);
+    if (!call) return; // answer to a cancelled call
+    if (msg.type === 'progress') {
+      call.onProgress?.(msg.loaded, msg.total);
+      return;
+    }
+    pending.delete(msg.id);
+    if (msg.type === 'error') call.reject(new Error(msg.message));
+    else call.resolve(msg);
+  }
+
+  function callWorker(type, payload, onProgress) {
+    const id = ++nextCallId;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ type, id, ...payload });
+    });
+  }
+
+  // Stop whatever the worker is doing; a fresh worker gets the current dataset back (but not the parsed file)
+  function cancelImport() {
+    worker.terminate();
+    pending.forEach(call => call.reject(Object.assign(new Error('Cancelled'), { cancelled: true })));
+    pending.clear();
+    startWorker();
+    hideProgress();
+    resetImportUi();
+    callWorker('load', { rows: rawData }).then(refreshDashboard).catch(handleWorkerError('Load error'));
+  }
+
+  function handleWorkerError(prefix) {
+    return (err) => {
+      hideProgress();
+      if (!err.cancelled) alert(`${t(prefix)}: ${err.message}`);
+    };
+  }
+
+  // fraction is 0..1, or null for a step without measurable progress
+  function showProgress(text, fraction) {
+    $('#progressText').textContent = fraction === null ? text : `${text} ${Math.round(fraction * 100)}%`;
+    $('#progressFill').style.width = fraction === null ? '100%' : `${Math.round(fraction * 100)}%`;
+    importProgress.classList.toggle('indeterminate', fraction === null);
+    importProgress.classList.remove('hidden');
+  }
+
+  function hideProgress() {
+    importProgress.classList.add('hidden');
+  }
+
+  /* ========== COLUMN MAPPING ========== */
+
+  const normHeader = (h) => String(h).trim().toLowerCase().replace(/[\s\-.]+/g, '_'); // JSON paths: order.date -> order_date
+
+  // Same set of headers (any order, case or spacing) => same signature
+  function headerSignature(headers) {
+    return headers.map(normHeader).sort().join('|');
+  }
+
+  // Guess a header for each field: exact alias match first, then a header with an alias as a whole word
+  // (order_date, 'Sales Amount' but not 'country' for count). Sales and orders only go to columns
+  // whose sample values mostly read as numbers, since parseNumber would turn text into silent zeros.
+  const NUMERIC_FIELDS = ['sales', 'orders'];
+
+  function suggestMapping(headers, samples = {}) {
+    const mapping = {};
+    const used = new Set();
+    const numeric = (h) => {
+      const values = samples[h] || [];
+      return values.filter(v => DataPipeline.isNumeric(v)).length * 2 > values.length;
+    };
+    const take = (key, test) => {
+      if (mapping[key]) return;
+      const h = headers.find(h => !used.has(h) && test(normHeader(h)) && (!NUMERIC_FIELDS.includes(key) || numeric(h)));
+      if (h) { mapping[key] = h; used.add(h); }
+    };
+    FIELDS.forEach(f => take(f.key, n => f.aliases.includes(n)));
+    FIELDS.forEach(f => take(f.key, n => f.aliases.some(a => `_${n}_`.includes(`_${a}_`))));
+    FIELDS.forEach(f => { if (!mapping[f.key]) mapping[f.key] = ''; });
+    return mapping;
+  }
+
+  function readMappingStore() {
+    try {
+      return JSON.parse(localStorage.getItem(MAPPING_STORE_KEY)) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  // Stored entries are { mapping, formats }; older entries were the bare mapping
+  function loadSavedMapping(headers) {
+    let saved = readMappingStore()[headerSignature(headers)];
+    if (!saved) return null;
+    if (!saved.mapping) saved = { mapping: saved, formats: {} };
+    // re-point the stored headers at this file's spelling of them
+    const mapping = {};
+    FIELDS.forEach(({ key }) => {
+      const h = saved.mapping[key];
+      mapping[key] = h ? (headers.find(x => normHeader(x) === normHeader(h)) || '') : '';
+    });
+    return { mapping, formats: { date: 'auto', number: 'auto', ...saved.formats } };
+  }
+
+  function saveMapping(headers, mapping, formats) {
+    const store = readMappingStore();
+    store[headerSignature(headers)] = { mapping, formats };
+    try {
+      localStorage.setItem(MAPPING_STORE_KEY, JSON.stringify(store));
+    } catch (err) {
+      console.warn('Could not save column mapping', err);
+    }
+  }
+
+  function openMappingWizard(mapping, formats) {
+    const { headers, samples } = lastImport;
+    const options = (selected) => `<option value="">${escapeHtml(t('— not in file —'))}</option>` +
+      headers.map(h => `<option value="${escapeHtml(h)}"${h === selected ? ' selected' : ''}>${escapeHtml(h)}</option>`).join('');
+    $('#mappingFields').innerHTML = FIELDS.map(f => `
+      <label>${escapeHtml(t(f.label))}
+        <select data-field="${f.key}">${options(mapping[f.key])}</select>
+        <span class="muted">${escapeHtml(t('If missing: {fallback}', { fallback: t(f.fallback) }))}</span>
+      </label>`).join('');
+
+    // preview: first few non-empty values of every detected header
+    const html = [`<table class="data-table"><thead><tr><th>${t('Column')}</th><th>${t('Sample values')}</th></tr></thead><tbody>`];
+    headers.forEach(h => {
+      html.push(`<tr><td>${escapeHtml(h)}</td><td>${samples[h].map(escapeHtml).join(', ') || `<span class="muted">${t('(empty)')}</span>`}</td></tr>`);
+    });
+    html.push('</tbody></table>');
+    $('#mappingPreview').innerHTML = html.join('');
+
+    // options first, so a remembered format survives; the detect reply fills in the auto-detected labels
+    fillFormatSelect($('#dateFormat'), DATE_FORMATS, null, formats.date || 'auto');
+    fillFormatSelect($('#numberFormat'), NUMBER_FORMATS, null, formats.number || 'auto');
+    $('#defaultCurrency').innerHTML = Object.keys(currencySettings.rates).map(c => `<option value="${c}">${c}</option>`).join('');
+    $('#defaultCurrency').value = formats.currency || currencySettings.reporting;
+    $$('#mappingFields select').forEach(sel => sel.addEventListener('change', updateMappingWarning));
+    updateMappingWarning();
+    mappingPanel.classList.remove('hidden');
+  }
+
+  function fillFormatSelect(sel, labels, detected, value = sel.value || 'auto') {
+    sel.innerHTML = Object.entries(labels).map(([k, label]) =>
+      `<option value="${k}">${escapeHtml(k === 'auto' && detected ? `${t(label)} (${t(labels[detected])})` : t(label))}</option>`).join('');
+    sel.value = value;
+  }
+
+  function readWizardMapping() {
+    const mapping = {};
+    $$('#mappingFields select').forEach(sel => { mapping[sel.dataset.field] = sel.value; });
+    return mapping;
+  }
+
+  function updateMappingWarning() {
+    const mapping = readWizardMapping();
+    const missing = FIELDS.filter(f => !mapping[f.key] && (f.key === 'date' || f.key === 'sales')).map(f => t(f.label));
+    // refresh the "Auto-detect (...)" labels for the columns now chosen
+    callWorker('detect', { mapping }).then(({ formats }) => {
+      fillFormatSelect($('#dateFormat'), DATE_FORMATS, formats.date);
+      fillFormatSelect($('#numberFormat'), NUMBER_FORMATS, formats.number);
+    }).catch(() => {});
+    const warn = $('#mappingWarning');
+    warn.textContent = missing.length
+      ? t('No column chosen for {fields} — charts and KPIs will be incomplete.', { fields: missing.join(` ${t('and')} `) })
+      : '';
+    warn.classList.toggle('hidden', !missing.length);
+  }
+
+  function readWizardFormats() {
+    return { date: $('#dateFormat').value, number: $('#numberFormat').value, currency: $('#defaultCurrency').value };
+  }
+
+  function applyMappingFromWizard() {
+    const mapping = readWizardMapping();
+    const formats = readWizardFormats();
+    if ($('#rememberMapping').checked) saveMapping(lastImport.headers, mapping, formats);
+    mappingPanel.classList.add('hidden');
+    applyMapping(mapping, formats);
+  }
+
+  function applyMapping(mapping, formats) {
+    lastImport.mapping = mapping;
+    lastImport.formats = formats;
+    showProgress(t('Standardizing rows…'), null);
+    callWorker('standardize', { mapping, formats }).then(({ quality }) => {
+      hideProgress();
+      lastImport.quality = quality;
+      lastImport.choices = {};
+      QUALITY_CHECKS.forEach(c => { lastImport.choices[c.key] = c.default; });
+      editMapping.classList.remove('hidden');
+      if (quality.affected > 0) {
+        openQualityPanel();
+      } else {
+        reviewQuality.classList.add('hidden');
+        loadCleanedRows();
+      }
+    }).catch(handleWorkerError('Import error'));
+  }
+
+  /* ========== DATA QUALITY ========== */
+
+  function openQualityPanel() {
+    const { quality, choices } = lastImport;
+    $('#qualitySummary').textContent = t('{affected} of {total} rows have at least one issue. Choose how to treat each type before loading.',
+      { affected: fmtNumber(quality.affected), total: fmtNumber(quality.total) });
+
+    const html = [];
+    QUALITY_CHECKS.forEach(c => {
+      const { count, samples } = quality.issues[c.key];
+      if (!count) return;
+      const opts = [['exclude', t('Exclude rows')], ['keep', t('Keep as is')]];
+      if (c.fix) opts.push(['fix', t(c.fix)]);
+      html.push(`<div class="quality-item">
+        <div class="quality-head">
+          <strong>${escapeHtml(t(c.label))}</strong>
+          <span class="quality-count">${count}</span>
+          <select data-check="${c.key}">${opts.map(([v, l]) => `<option value="${v}"${choices[c.key] === v ? ' selected' : ''}>${escapeHtml(l)}</option>`).join('')}</select>
+        </div>
+        <details><summary>${t('Show rows')}</summary><ul class="quality-rows">
+          ${samples.map(i => `<li>${t('Row {n}:', { n: i.index + 1 })} ${escapeHtml(String(i.value)) || `<span class="muted">${t('(empty)')}</span>`}</li>`).join('')}
+          ${count > samples.length ? `<li class="muted">${t('…and {count} more', { count: fmtNumber(count - samples.length) })}</li>` : ''}
+        </ul></details>
+      </div>`);
+    });
+    $('#qualityList').innerHTML = html.join('');
+    qualityPanel.classList.remove('hidden');
+  }
+
+  // The button reopening the quality panel shows what the last clean did; redrawn on a language change
+  function renderQualityButton() {
+    const cleaned = lastImport?.quality?.affected > 0 ? lastImport.cleaned : null;
+    reviewQuality.classList.toggle('hidden', !cleaned);
+    if (cleaned) reviewQuality.textContent = t('Data Quality: {excluded} excluded, {fixed} fixed', cleaned);
+  }
+
+  function readQualityChoices() {
+    $$('#qualityList select').forEach(sel => { lastImport.choices[sel.dataset.check] = sel.value; });
+  }
+
+  function applyQualityFromPanel() {
+    readQualityChoices();
+    qualityPanel.classList.add('hidden');
+    loadCleanedRows();
+  }
+
+  function loadCleanedRows() {
+    showProgress(t('Cleaning rows…'), null);
+    callWorker('clean', { choices: lastImport.choices, currency: currencySettings }).then((reply) => {
+      const { excluded, fixed } = reply;
+      hideProgress();
+      lastImport.cleaned = { excluded, fixed };
+      renderQualityButton();
+      commitImport(reply);
+    }).catch(handleWorkerError('Import error'));
+  }
+
+  /* ========== DATASETS (IndexedDB) ========== */
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) return reject(new Error('IndexedDB is not available in this browser'));
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore('datasets', { keyPath: 'id' });
+          req.result.createObjectStore('rows', { keyPath: 'id' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run fn(datasets, rows) in one transaction; resolves with the result of the request fn returns
+  function dbTx(mode, fn) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(['datasets', 'rows'], mode);
+      const req = fn(tx.objectStore('datasets'), tx.objectStore('rows'));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    }));
+  }
+
+  const listDatasets = () => dbTx('readonly', (datasets) => datasets.getAll());
+  const getDatasetRows = (id) => dbTx('readonly', (datasets, rows) => rows.get(id)).then(rec => rec?.rows || null);
+  const getDatasetMeta = (id) => dbTx('readonly', (datasets) => datasets.get(id));
+  const updateDatasetMeta = (id, changes) => dbTx('readwrite', (datasets) => {
+    const req = datasets.get(id);
+    req.onsuccess = () => {
+      if (req.result) datasets.put({ ...req.result, ...changes });
+    };
+  });
+  const putDataset = (meta, data) => dbTx('readwrite', (datasets, rows) => {
+    datasets.put(meta);
+    rows.put({ id: meta.id, rows: data });
+  });
+  const removeDataset = (id) => dbTx('readwrite', (datasets, rows) => {
+    datasets.delete(id);
+    rows.delete(id);
+  });
+
+  function datasetMeta(id, name, rows, uploaded) {
+    let from = null, to = null;
+    rows.forEach(r => {
+      if (!r.date) return;
+      if (!from || r.date < from) from = r.date;
+      if (!to || r.date > to) to = r.date;
+    });
+    return { id, name, rowCount: rows.length, from, to, uploaded, updated: new Date().toISOString() };
+  }
+
+  function describeDataset(d) {
+    const range = d.from ? `${d.from} → ${d.to}` : t('no dates');
+    return t('{name} — {rows} rows, {range}, uploaded {date}',
+      { name: d.name, rows: fmtNumber(d.rowCount), range, date: new Date(d.uploaded).toLocaleDateString(locale()) });
+  }
+
+  function renderDatasetPicker() {
+    return listDatasets().then(list => {
+      datasetList = list.sort((a, b) => (a.updated < b.updated ? 1 : -1));
+      datasetSelect.innerHTML = `<option value="${SAMPLE_ID}">${escapeHtml(t('Sample data'))}</option>` +
+        datasetList.map(d => `<option value="${escapeHtml(d.id)}">${escapeHtml(describeDataset(d))}</option>`).join('');
+      datasetSelect.value = activeDatasetId;
+      updateDatasetControls();
+    }).catch(err => {
+      datasetSelect.innerHTML = `<option>${escapeHtml(t('Saving unavailable'))}</option>`;
+      datasetSelect.disabled = true;
+      $('#datasetInfo').textContent = err.message;
+    });
+  }
+
+  function updateDatasetControls() {
+    const stored = activeDatasetId !== SAMPLE_ID;
+    $('#deleteDataset').disabled = !stored;
+    importTarget.querySelector('[value="append"]').disabled = !stored;
+    if (!stored && importTarget.value === 'append') {
+      importTarget.value = 'new';
+      $('#dedupeKeys').classList.add('hidden');
+    }
+  }
+
+  function setActiveDataset(id) {
+    activeDatasetId = id;
+    try {
+      localStorage.setItem(ACTIVE_DATASET_KEY, id);
+    } catch (err) {
+      // not remembering the choice is fine
+    }
+    datasetSelect.value = id;
+    updateDatasetControls();
+  }
+
+  function restoreActiveDataset() {
+    let id = null;
+    try {
+      id = localStorage.getItem(ACTIVE_DATASET_KEY);
+    } catch (err) {
+      // fall through to the sample
+    }
+    renderDatasetPicker();
+    if (id && id !== SAMPLE_ID) loadDataset(id).then(loaded => { if (!loaded) useSampleData(); });
+    else useSampleData();
+  }
+
+  // Resolves to false when the dataset couldn't be opened; the picker goes back to the one still loaded
+  function loadDataset(id) {
+    return Promise.all([getDatasetRows(id), getDatasetMeta(id)]).then(([rows, meta]) => {
+      if (!rows) throw new Error('dataset not found');
+      rawData = DataPipeline.convertRows(rows, currencySettings); // rates may have changed since it was saved
+      resetImportUi();
+      setActiveDataset(id);
+      annotations = meta?.annotations || [];
+      renderAnnotationList();
+      $('#datasetInfo').textContent = '';
+      return callWorker('load', { rows: rawData });
+    }).then((reply) => {
+      afterDataLoad(reply);
+      return true;
+    }).catch(err => {
+      alert(t('Could not open dataset: {message}', { message: err.message }));
+      datasetSelect.value = activeDatasetId;
+      return false;
+    });
+  }
+
+  function deleteActiveDataset() {
+    const meta = datasetList.find(d => d.id === activeDatasetId);
+    if (!meta || !confirm(t('Delete the dataset "{name}"? This cannot be undone.', { name: meta.name }))) return;
+    removeDataset(meta.id)
+      .then(() => {
+        useSampleData();
+        return renderDatasetPicker();
+      })
+      .catch(err => alert(t('Could not delete dataset: {message}', { message: err.message })));
+  }
+
+  function dedupeKeys() {
+    return $$('#dedupeKeys input:checked').map(el => el.value);
+  }
+
+  // Append rows whose key (the chosen fields) is not already in base or earlier in rows
+  function appendRows(base, rows, keys) {
+    if (!keys.length) return { rows: base.concat(rows), skipped: 0 };
+    const keyOf = (r) => keys.map(k => r[k] ?? '').join('\u0001');
+    const seen = new Set(base.map(keyOf));
+    const out = base.slice();
+    let skipped = 0;
+    rows.forEach(r => {
+      const key = keyOf(r);
+      if (seen.has(key)) {
+        skipped++;
+        return;
+      }
+      seen.add(key);
+      out.push(r);
+    });
+    return { rows: out, skipped };
+  }
+
+  // Store freshly cleaned upload rows (the worker's clean reply) as a new dataset, or on top of the selected one.
+  // The target is fixed on the first commit so re-mapping the same file rewrites that dataset.
+  function commitImport(reply) {
+    const { rows } = reply;
+    if (!lastImport.target) {
+      const append = importTarget.value === 'append' && activeDatasetId !== SAMPLE_ID;
+      lastImport.target = append
+        ? { id: activeDatasetId, base: rawData, meta: datasetList.find(d => d.id === activeDatasetId) }
+        : { id: 'd' + Date.now().toString(36), base: null, meta: null };
+    }
+    const { id, base, meta } = lastImport.target;
+    let combined = rows;
+    let note = t('Saved {count} rows as a new dataset.', { count: fmtNumber(rows.length) });
+    if (base) {
+      const result = appendRows(base, rows, dedupeKeys());
+      combined = result.rows;
+      note = t('Appended {count} rows ({skipped} duplicates skipped).',
+        { count: fmtNumber(combined.length - base.length), skipped: fmtNumber(result.skipped) });
+    }
+    rawData = combined;
+    if (activeDatasetId !== id) annotations = []; // notes stay with the dataset they were made on
+    renderAnnotationList();
+    const record = datasetMeta(id, meta?.name || lastImport.fileName, combined, meta?.uploaded || new Date().toISOString());
+    putDataset({ ...record, annotations }, combined)
+      .then(() => {
+        $('#datasetInfo').textContent = note;
+        setActiveDataset(id);
+        return renderDatasetPicker();
+      })
+      .catch(err => { $('#datasetInfo').textContent = t('Not saved: {message}', { message: err.message }); });
+    if (base) callWorker('load', { rows: combined }).then(afterDataLoad).catch(handleWorkerError('Load error'));
+    else afterDataLoad(reply);
+  }
+
+  // reply: the worker's answer to load / clean ({ rowCount, categories })
+  function afterDataLoad(reply) {
+    datasetCategories = reply.categories;
+    populateCategoryFilter();
+    updateCurrencyWarning();
+    refreshDashboard();
+    downloadCsv.classList.remove('hidden');
+  }
+
+  // A new dataset keeps the filters, minus categories it doesn't have
+  function populateCategoryFilter() {
+    const cats = new Set(datasetCategories);
+    filterState.conditions = filterState.conditions
+      .map(c => (c.type === 'category' ? { ...c, values: c.values.filter(v => cats.has(v)) } : c))
+      .filter(c => c.type !== 'category' || c.values.length);
+  }
+
+  function currentFilters() {
+    return {
+      from: dateFrom.value || null,
+      to: dateTo.value || null,
+      mode: filterState.mode,
+      conditions: filterState.conditions
+    };
+  }
+
+  function getFilteredData() {
+    return rawData.filter(DataPipeline.rowFilter(currentFilters()));
+  }
+
+  // Everything is computed by the worker: KPIs and charts from its indexes, the table, pivot and
+  // cohorts from its cached filtered rows
+  function refreshDashboard() {
+    renderFilterChips();
+    syncUrlState();
+    table.page = 0;
+    updateTableView();
+    renderCohorts();
+    renderPivot();
+    const token = ++refreshToken;
+    const filters = currentFilters();
+    callWorker('aggregate', { filters, perCategory: true }).then(agg => {
+      const range = currentRange(agg.daily);
+      const cmpRange = range && comparisonRange(range, comparePeriod.value);
+      if (!cmpRange) return { agg, range, cmp: null };
+      return callWorker('aggregate', { filters: { ...filters, from: cmpRange.from, to: cmpRange.to, strict: true } })
+        .then(cmpAgg => ({
+          agg,
+          range,
+          cmp: { ...cmpAgg, range: cmpRange, label: comparePeriod.value === 'year' ? 'same period last year' : 'previous period' }
+        }));
+    }).then(view => {
+      if (token !== refreshToken) return; // a newer refresh is on its way
+      dashboardView = view;
+      const { kpis } = view.agg;
+      kpiTotal.textContent = fmtCompact(kpis.total);
+      kpiAvg.textContent = fmtCompact(kpis.avg);
+      kpiCust.textContent = fmtNumber(kpis.customers);
+      renderKpiDeltas(kpis, view.cmp?.kpis, view.cmp?.label);
+      renderCategoryChart(view.agg.categories);
+      renderTimeSeries(view);
+    }).catch(handleWorkerError('Aggregation error'));
+  }
+
+  /* ========== FILTER BUILDER ========== */
+
+  function openFilterEditor(type) {
+    const current = filterState.conditions.find(c => c.type === type) || { type, values: [] };
+    const checks = (items, selected) => '<div class="filter-checks">' + items.map(([value, label]) =>
+      `<label><input type="checkbox" value="${escapeHtml(String(value))}"${selected.includes(value) ? ' checked' : ''} /> ${escapeHtml(label)}</label>`).join('') + '</div>';
+    let body;
+    if (type === 'category') {
+      body = checks(datasetCategories.filter(Boolean).map(c => [c, c]), current.values);
+    } else if (type === 'sales' || type === 'orders') {
+      body = `<label>${t('Min')} <input type="number" id="filterMin" step="any" value="${current.min ?? ''}" /></label>
+              <label>${t('Max')} <input type="number" id="filterMax" step="any" value="${current.max ?? ''}" /></label>`;
+    } else if (type === 'customerIn' || type === 'customerOut') {
+      body = `<textarea id="filterIds" rows="2" placeholder="${t('Customer IDs, separated by commas or new lines')}">${escapeHtml(current.values.join(', '))}</textarea>`;
+    } else if (type === 'weekday') {
+      body = checks([1, 2, 3, 4, 5, 6, 0].map(d => [d, t(WEEKDAYS[d])]), current.values);
+    } else {
+      body = checks(MONTHS.map((m, i) => [i + 1, t(m)]), current.values);
+    }
+    filterEditor.dataset.type = type;
+    filterEditor.innerHTML = `<strong>${t(FILTER_LABELS[type])}</strong>${body}
+      <div class="mapping-actions">
+        <button id="applyFilter" class="mini-btn">${t('Apply filter')}</button>
+        <button id="cancelFilter" class="mini-btn ghost">${t('Cancel')}</button>
+      </div>`;
+    filterEditor.classList.remove('hidden');
+  }
+
+  function closeFilterEditor() {
+    filterEditor.classList.add('hidden');
+    filterType.value = '';
+  }
+
+  // Read the editor into a condition; an empty editor removes that filter
+  function applyFilterEditor() {
+    const type = filterEditor.dataset.type;
+    let condition = null;
+    if (type === 'sales' || type === 'orders') {
+      const read = (sel) => ($(sel).value === '' ? null : Number($(sel).value));
+      const min = read('#filterMin'), max = read('#filterMax');
+      if (min !== null || max !== null) condition = { type, min, max };
+    } else if (type === 'customerIn' || type === 'customerOut') {
+      const values = $('#filterIds').value.split(/[\s,;]+/).map(v => v.trim()).filter(Boolean);
+      if (values.length) condition = { type, values };
+    } else {
+      const numeric = type === 'weekday' || type === 'month';
+      const values = $$('#filterEditor input:checked').map(el => (numeric ? Number(el.value) : el.value));
+      if (values.length) condition = { type, values };
+    }
+    setCondition(type, condition);
+    closeFilterEditor();
+  }
+
+  // Replace (or with null, remove) the condition of one type and refresh
+  function setCondition(type, condition) {
+    filterState.conditions = filterState.conditions.filter(c => c.type !== type);
+    if (condition) filterState.conditions.push(condition);
+    refreshDashboard();
+  }
+
+  function describeCondition(c) {
+    const list = (values) => values.length > 3 ? `${values.slice(0, 3).join(', ')} +${values.length - 3}` : values.join(', ');
+    if (c.type === 'sales' || c.type === 'orders') {
+      if (c.min !== null && c.max !== null) return `${c.min} – ${c.max}`;
+      return c.min !== null ? `≥ ${c.min}` : `≤ ${c.max}`;
+    }
+    if (c.type === 'weekday') return list([1, 2, 3, 4, 5, 6, 0].filter(d => c.values.includes(d)).map(d => t(WEEKDAYS[d])));
+    if (c.type === 'month') return list([...c.values].sort((a, b) => a - b).map(m => t(MONTHS[m - 1])));
+    return list(c.values);
+  }
+
+  function renderFilterChips() {
+    filterMode.value = filterState.mode;
+    const chips = filterState.conditions.map(c => `<span class="chip">
+        <button data-edit="${c.type}" title="${t('Edit')}">${t(FILTER_LABELS[c.type])}: ${escapeHtml(describeCondition(c))}</button>
+        <button data-remove="${c.type}" class="chip-remove" aria-label="${t('Remove filter')}">&times;</button>
+      </span>`);
+    if (dateFrom.value || dateTo.value) {
+      chips.unshift(`<span class="chip">
+        <span>${t('Dates')}: ${escapeHtml(dateFrom.value || '…')} – ${escapeHtml(dateTo.value || '…')}</span>
+        <button data-remove="dates" class="chip-remove" aria-label="${t('Remove filter')}">&times;</button>
+      </span>`);
+    }
+    if (chips.length > 1) chips.push(`<button data-clear class="chip-clear">${t('Clear all')}</button>`);
+    filterChips.innerHTML = chips.join('');
+  }
+
+  // Cross-filtering: a category bar narrows to that category (clicking it again clears it)
+  function crossFilterCategory(category) {
+    const current = filterState.conditions.find(c => c.type === 'category');
+    const only = current && current.values.length === 1 && current.values[0] === category;
+    setCondition('category', only ? null : { type: 'category', values: [category] });
+  }
+
+  // Cross-filtering: a time point narrows the date range to that period
+  function crossFilterPeriod(key) {
+    const { from, to } = periodBounds(key, timeGranularity.value);
+    dateFrom.value = from;
+    dateTo.value = to;
+    refreshDashboard();
+  }
+
+  /* ========== URL STATE / SAVED VIEWS ========== */
+
+  // Everything needed to reproduce the current view; defaults are left out to keep links short
+  function captureState() {
+    const state = {};
+    if (dateFrom.value) state.from = dateFrom.value;
+    if (dateTo.value) state.to = dateTo.value;
+    if (filterState.mode !== 'and') state.mode = filterState.mode;
+    if (filterState.conditions.length) state.conditions = filterState.conditions;
+    if (comparePeriod.value) state.compare = comparePeriod.value;
+    if (timeGranularity.value !== 'month') state.granularity = timeGranularity.value;
+    if (movingAvg.value !== '0') state.movingAvg = movingAvg.value;
+    if (showCumulative.checked) state.cumulative = true;
+    if (!showComparison.checked) state.hideComparison = true;
+    if (anomalyMethod.value !== 'zscore') state.anomalies = anomalyMethod.value;
+    if (forecastMethod.value) state.forecast = { method: forecastMethod.value, horizon: forecastHorizon.value };
+    if (JSON.stringify(pivotState) !== JSON.stringify(PIVOT_DEFAULT)) state.pivot = pivotState;
+    if (table.sort) state.sort = table.sort;
+    if (tableSearch.value.trim()) state.search = tableSearch.value.trim();
+    if (pageSize.value !== '25') state.pageSize = pageSize.value;
+    return state;
+  }
+
+  // Links and imported views come from elsewhere: a condition missing its values or bounds is dropped
+  const isIsoDay = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(toUtc(v)) && fromUtc(toUtc(v)) === v;
+  const isBound = (v) => v === null || v === undefined || Number.isFinite(v);
+
+  function validCondition(c) {
+    if (!c || !has(FILTER_LABELS, c.type)) return false;
+    if (c.type === 'sales' || c.type === 'orders') return isBound(c.min) && isBound(c.max) && (Number.isFinite(c.min) || Number.isFinite(c.max));
+    if (!Array.isArray(c.values) || !c.values.length) return false;
+    if (c.type === 'weekday') return c.values.every(v => Number.isInteger(v) && v >= 0 && v <= 6);
+    if (c.type === 'month') return c.values.every(v => Number.isInteger(v) && v >= 1 && v <= 12);
+    return c.values.every(v => typeof v === 'string');
+  }
+
+  function validConditions(list) {
+    return (Array.isArray(list) ? list : []).filter(validCondition).map(c => (c.type === 'sales' || c.type === 'orders'
+      ? { type: c.type, min: c.min ?? null, max: c.max ?? null }
+      : { type: c.type, values: c.values }));
+  }
+
+  // Inverse of captureState; the caller refreshes the dashboard
+  function applyState(state) {
+    if (!state || typeof state !== 'object') return;
+    const pick = (el, value, fallback) => {
+      el.value = value ?? fallback;
+      if (el.selectedIndex === -1) el.value = fallback; // unknown option
+    };
+    dateFrom.value = isIsoDay(state.from) ? state.from : '';
+    dateTo.value = isIsoDay(state.to) ? state.to : '';
+    filterState.mode = state.mode === 'or' ? 'or' : 'and';
+    filterState.conditions = validConditions(state.conditions);
+    pick(comparePeriod, state.compare, '');
+    pick(timeGranularity, state.granularity, 'month');
+    pick(movingAvg, state.movingAvg, '0');
+    pick(anomalyMethod, state.anomalies, 'zscore');
+    pick(forecastMethod, state.forecast?.method, '');
+    pick(forecastHorizon, state.forecast?.horizon, '6');
+    pick(pageSize, state.pageSize, '25');
+    showCumulative.checked = !!state.cumulative;
+    showComparison.checked = !state.hideComparison;
+    const pivot = state.pivot || {};
+    const pivotFields = (keys) => keys.filter(k => typeof k === 'string' && pivotField(k));
+    const option = (sel, value, fallback) => ([...$(sel).options].some(o => o.value === value) ? value : fallback);
+    pivotState = {
+      rows: Array.isArray(pivot.rows) ? pivotFields(pivot.rows) : PIVOT_DEFAULT.rows,
+      cols: Array.isArray(pivot.cols) ? pivotFields(pivot.cols) : PIVOT_DEFAULT.cols,
+      agg: has(PIVOT_AGG_LABELS, pivot.agg) ? pivot.agg : PIVOT_DEFAULT.agg,
+      value: has(PIVOT_VALUES, pivot.value) || calcValid(pivot.value) ? pivot.value : PIVOT_DEFAULT.value,
+      display: option('#pivotDisplay', pivot.display, PIVOT_DEFAULT.display),
+      chart: option('#pivotChart', pivot.chart, PIVOT_DEFAULT.chart),
+    };
+    table.sort = typeof state.sort?.col === 'string' ? { col: state.sort.col, dir: state.sort.dir === -1 ? -1 : 1 } : null;
+    tableSearch.value = typeof state.search === 'string' ? state.search : '';
+    table.search = tableSearch.value.toLowerCase();
+  }
+
+  // A #dash= link that can't be read or applied leaves the dashboard on its defaults
+  function applyUrlState() {
+    try {
+      applyState(decodeState(location.hash.slice(6)));
+    } catch (err) {
+      applyState({});
+      alert(t('This dashboard link could not be read, so the default view is shown.'));
+    }
+  }
+
+  // JSON -> UTF-8 -> base64url, so category names in any script survive the URL
+  function encodeState(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let bin = '';
+    bytes.forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function decodeState(str) {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0))));
+  }
+
+  // Mirror the state into the hash without adding history entries; a default view leaves the URL alone
+  function syncUrlState() {
+    const state = captureState();
+    const hash = Object.keys(state).length ? '#dash=' + encodeState(state) : '';
+    if (hash === location.hash) return;
+    if (!hash && !location.hash.startsWith('#dash=')) return;
+    history.replaceState(null, '', hash || location.pathname + location.search);
+  }
+
+  function readSavedViews() {
+    try {
+      const views = JSON.parse(localStorage.getItem(VIEWS_STORE_KEY));
+      return Array.isArray(views) ? views : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function writeSavedViews(views) {
+    try {
+      localStorage.setItem(VIEWS_STORE_KEY, JSON.stringify(views));
+    } catch (err) {
+      alert(t('Could not save views: {message}', { message: err.message }));
+    }
+    renderSavedViews();
+  }
+
+  function renderSavedViews(selectedId = savedViewSelect.value) {
+    const views = readSavedViews();
+    savedViewSelect.innerHTML = `<option value="">${t(views.length ? 'Choose a view…' : 'No saved views')}</option>` +
+      views.map(v => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)}</option>`).join('');
+    savedViewSelect.value = views.some(v => v.id === selectedId) ? selectedId : '';
+  }
+
+  function saveCurrentView() {
+    const name = prompt(t('Name for this view:'), '');
+    if (!name || !name.trim()) return;
+    const view = { id: 'v' + Date.now().toString(36), name: name.trim(), state: captureState(), saved: new Date().toISOString() };
+    writeSavedViews([...readSavedViews(), view]);
+    renderSavedViews(view.id);
+  }
+
+  function renameSelectedView() {
+    const views = readSavedViews();
+    const view = views.find(v => v.id === savedViewSelect.value);
+    if (!view) return alert(t('Choose a saved view first.'));
+    const name = prompt(t('New name:'), view.name);
+    if (!name || !name.trim()) return;
+    view.name = name.trim();
+    writeSavedViews(views);
+  }
+
+  function deleteSelectedView() {
+    const views = readSavedViews();
+    const view = views.find(v => v.id === savedViewSelect.value);
+    if (!view) return alert(t('Choose a saved view first.'));
+    if (!confirm(t('Delete the view "{name}"?', { name: view.name }))) return;
+    writeSavedViews(views.filter(v => v !== view));
+  }
+
+  function exportViews() {
+    const views = readSavedViews();
+    if (!views.length) return alert(t('No saved views to export.'));
+    downloadFile(JSON.stringify({ type: 'saved-views', version: 1, views }, null, 2), 'application/json', 'dashboard_views.json');
+  }
+
+  // Adds the file's views to the stored ones; an imported id that already exists gets a new id
+  function importViews(e) {
+    const f = e.target.files[0];
+    e.target.value = '';
+    if (!f) return;
+    f.text().then(text => {
+      const data = JSON.parse(text);
+      const incoming = (Array.isArray(data) ? data : data.views || [])
+        .filter(v => v && typeof v.name === 'string' && v.state && typeof v.state === 'object');
+      if (!incoming.length) throw new Error('no views found in this file');
+      const views = readSavedViews();
+      const ids = new Set(views.map(v => v.id));
+      incoming.forEach((v, i) => {
+        const id = v.id && !ids.has(v.id) ? String(v.id) : 'v' + Date.now().toString(36) + i;
+        ids.add(id);
+        const state = { ...v.state, conditions: validConditions(v.state.conditions) };
+        views.push({ id, name: v.name, state, saved: v.saved || new Date().toISOString() });
+      });
+      writeSavedViews(views);
+      alert(t('Imported {count} view(s).', { count: incoming.length }));
+    }).catch(err => alert(t('Could not import views: {message}', { message: err.message })));
+  }
+
+  /* ========== PERIOD COMPARISON ========== */
+
+  // Date range currently shown: the date inputs, or the span of the filtered days (sorted)
+  function currentRange(daily) {
+    const from = dateFrom.value || daily[0]?.date;
+    const to = dateTo.value || daily[daily.length - 1]?.date;
+    return from && to ? { from, to } : null;
+  }
+
+  // Same calendar date `years` away; Feb 29 becomes Feb 28 in non-leap years
+  function shiftYear(iso, years) {
+    const yr = +iso.slice(0, 4) + years;
+    const mon = +iso.slice(5, 7);
+    const day = Math.min(+iso.slice(8, 10), new Date(Date.UTC(yr, mon, 0)).getUTCDate());
+    return `${yr}-${pad2(mon)}-${pad2(day)}`;
+  }
+
+  // Comparison range plus `shift`, which moves a comparison date onto the matching current date
+  function comparisonRange(range, mode) {
+    if (mode === 'previous') {
+      const len = toUtc(range.to) - toUtc(range.from) + DAY_MS;
+      return {
+        from: fromUtc(toUtc(range.from) - len),
+        to: fromUtc(toUtc(range.from) - DAY_MS),
+        shift: (iso) => fromUtc(toUtc(iso) + len)
+      };
+    }
+    if (mode === 'year') {
+      return { from: shiftYear(range.from, -1), to: shiftYear(range.to, -1), shift: (iso) => shiftYear(iso, 1) };
+    }
+    return null;
+  }
+
+  function renderKpiDeltas(kpis, prev, label) {
+    const cards = [
+      ['#kpiTotalDelta', 'total', v => fmtCompact(v)],
+      ['#kpiAvgDelta', 'avg', v => fmtCompact(v)],
+      ['#kpiCustDelta', 'customers', v => fmtNumber(v)]
+    ];
+    cards.forEach(([sel, key, fmt]) => {
+      const el = $(sel);
+      el.classList.remove('up', 'down');
+      if (!prev) {
+        el.textContent = '';
+        return;
+      }
+      const diff = kpis[key] - prev[key];
+      const pct = prev[key] ? ` (${diff >= 0 ? '+' : '−'}${Math.abs(diff / prev[key] * 100).toFixed(1)}%)` : '';
+      el.textContent = t('{change} vs {label}', { change: `${diff >= 0 ? '+' : '−'}${fmt(Math.abs(diff))}${pct}`, label: t(label) });
+      if (diff) el.classList.add(diff > 0 ? 'up' : 'down');
+    });
+  }
+
+  /* ========== CHARTS ========== */
+
+  // agg: { category: total sales }
+  function renderCategoryChart(agg) {
+    const labels = Object.keys(agg).sort((a,b)=>agg[b]-agg[a]);
+    const values = labels.map(l => agg[l]);
+
+    const ctx = $('#chartCategory').getContext('2d');
+    if (chartCategory) chartCategory.destroy();
+    chartCategory = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: [{
+          label: `${t('Sales')} (${currencySettings.reporting})`,
+          data: values,
+          borderRadius: 8,
+          maxBarThickness: 48
+        }]
+      },
+      options: {
+        plugins: { legend: { display: false }, tooltip: { callbacks: { label: (item) => fmtCurrency(item.parsed.y) } } },
+        responsive: true,
+        scales: { y: { beginAtZero: true, ticks: { callback: (v) => fmtCompact(v) } } },
+        onClick: (evt, elements) => {
+          if (elements.length) crossFilterCategory(labels[elements[0].index]);
+        },
+        onHover: (evt, elements) => {
+          evt.native.target.style.cursor = elements.length ? 'pointer' : 'default';
+        },
+      }
+    });
+  }
+
+  // view: { agg: { daily }, range, cmp } as built by refreshDashboard
+  function renderTimeSeries(view) {
+    if (!view) return;
+    const { range, cmp } = view;
+    const { labels, values } = aggregateByPeriod(view.agg.daily, timeGranularity.value, range?.from, range?.to);
+    const datasets = [{
+      label: t('Sales'),
+      data: values,
+      tension: 0.25,
+      pointRadius: labels.length > 60 ? 0 : 3,
+    }];
+    const span = Number(movingAvg.value);
+    if (span) {
+      datasets.push({
+        label: t('{n}-period average', { n: span }),
+        data: movingAverage(values, span),
+        borderDash: [6, 4],
+        pointRadius: 0,
+        tension: 0.25,
+      });
+    }
+    if (cmp && showComparison.checked && labels.length) {
+      // move comparison days onto the current calendar so both series share the same periods
+      const shifted = cmp.daily.map(r => ({ ...r, date: cmp.range.shift(r.date) }));
+      datasets.push({
+        label: t(cmp.label[0].toUpperCase() + cmp.label.slice(1)),
+        data: aggregateByPeriod(shifted, timeGranularity.value, range.from, range.to).values,
+        borderDash: [4, 4],
+        pointRadius: 0,
+        tension: 0.25,
+      });
+    }
+    if (showCumulative.checked) {
+      let running = 0;
+      datasets.push({
+        label: t('Cumulative'),
+        data: values.map(v => (running += v)),
+        yAxisID: 'y1',
+        pointRadius: 0,
+        fill: false,
+      });
+    }
+    const notes = periodNotes(labels, values, datasets);
+    const axis = addForecast(labels, values, datasets);
+    paintDatasets(datasets);
+
+    const ctx = $('#chartTime').getContext('2d');
+    if (chartTime) chartTime.destroy();
+    chartTime = new Chart(ctx, {
+      type: 'line',
+      data: { labels: axis, datasets },
+      options: {
+        plugins:{
+          legend:{display: datasets.length > 1, labels:{filter: (item, data) => !data.datasets[item.datasetIndex].hideInLegend}},
+          tooltip:{callbacks:{
+            label: (item) => `${item.dataset.label}: ${fmtCurrency(item.parsed.y)}`,
+            footer: (items) => notes.get(items[0]?.dataIndex) || []
+          }}
+        },
+        interaction:{mode:'index', intersect:false},
+        onClick: (evt, elements) => {
+          // forecast periods have no rows to filter on
+          if (elements.length && elements[0].index < labels.length) crossFilterPeriod(labels[elements[0].index]);
+        },
+        scales:{
+          x:{ticks:{maxRotation:0, autoSkip:true}},
+          y:{beginAtZero:true, ticks:{callback: (v) => fmtCompact(v)}},
+          y1:{display: showCumulative.checked, position:'right', beginAtZero:true, grid:{drawOnChartArea:false}, ticks:{callback: (v) => fmtCompact(v)}}
+        }
+      }
+    });
+  }
+
+  // Chart.js's default palette applied by hand: its Colors plugin turns itself off
+  // as soon as any dataset (forecast band, notes) brings its own colour
+  const CHART_PALETTE = ['54, 162, 235', '255, 99, 132', '255, 159, 64', '255, 205, 86', '75, 192, 192', '153, 102, 255', '201, 203, 207'];
+  function paintDatasets(datasets) {
+    datasets.forEach((d, i) => {
+      if (d.borderColor) return;
+      const rgb = CHART_PALETTE[i % CHART_PALETTE.length];
+      d.borderColor = `rgb(${rgb})`;
+      d.backgroundColor = d.backgroundColor || `rgba(${rgb}, 0.5)`;
+    });
+  }
+
+  /* ========== ANOMALIES / ANNOTATIONS ========== */
+
+  // Trailing window the anomaly check compares each period with
+  const ANOMALY_WINDOW = { day: 28, week: 8, month: 6, quarter: 4 };
+
+  // Flags anomalies on the Sales series, adds a Notes marker series and fills the anomaly panel.
+  // Returns period index -> tooltip lines.
+  function periodNotes(labels, values, datasets) {
+    const notes = new Map();
+    const add = (i, line) => (notes.get(i) || notes.set(i, []).get(i)).push(line);
+    const granularity = timeGranularity.value;
+    const method = anomalyMethod.value;
+    const found = [];
+    if (method && labels.length) {
+      const opts = { method, window: ANOMALY_WINDOW[granularity] };
+      const flagged = new Set();
+      Analytics.detectAnomalies(values, opts).forEach(a => {
+        flagged.add(a.index);
+        found.push({ ...a, what: t('All sales') });
+      });
+      found.push(...categoryAnomalies(labels, granularity, opts));
+      found.forEach(a => add(a.index, `⚠ ${a.what}: ${explainAnomaly(a, method)}`));
+      const sales = datasets[0];
+      const radius = sales.pointRadius;
+      sales.pointRadius = (ctx) => (flagged.has(ctx.dataIndex) ? 6 : radius);
+      sales.pointBackgroundColor = (ctx) => (flagged.has(ctx.dataIndex) ? '#c53030' : ctx.dataset.backgroundColor);
+      sales.pointBorderColor = (ctx) => (flagged.has(ctx.dataIndex) ? '#c53030' : ctx.dataset.borderColor);
+    }
+    renderAnomalyList(found, labels, method);
+
+    const noted = new Set();
+    annotations.forEach(n => {
+      const i = labels.indexOf(periodKey(n.date, granularity));
+      if (i === -1) return;
+      noted.add(i);
+      add(i, `📝 ${n.date}: ${n.text}`);
+    });
+    if (noted.size) {
+      datasets.push({
+        label: t('Notes'),
+        data: values.map((v, i) => (noted.has(i) ? v : null)),
+        showLine: false,
+        pointStyle: 'rectRot',
+        pointRadius: 8,
+        pointHoverRadius: 9,
+        borderColor: '#805ad5',
+        backgroundColor: 'rgba(128, 90, 213, 0.6)',
+      });
+    }
+    return notes;
+  }
+
+  // The same check per category, on the per-day category sums of the last aggregation;
+  // only worth it with more than one category
+  function categoryAnomalies(labels, granularity, opts) {
+    const sums = new Map();
+    Object.entries(dashboardView.agg.categoryDaily).forEach(([category, days]) => {
+      const byKey = new Map();
+      Object.entries(days).forEach(([date, sales]) => {
+        const key = periodKey(date, granularity);
+        byKey.set(key, (byKey.get(key) || 0) + sales);
+      });
+      sums.set(category, byKey);
+    });
+    if (sums.size < 2) return [];
+    const found = [];
+    sums.forEach((byKey, category) => {
+      const series = labels.map(k => byKey.get(k) || 0);
+      Analytics.detectAnomalies(series, opts).forEach(a => found.push({ ...a, what: category }));
+    });
+    return found;
+  }
+
+  function explainAnomaly(a, method) {
+    const change = a.expected ? ` (${a.value >= a.expected ? '+' : ''}${((a.value / a.expected - 1) * 100).toFixed(0)}%)` : '';
+    const score = method === 'iqr'
+      ? t(`{score}× IQR ${a.score > 0 ? 'above' : 'below'} the usual range`, { score: Math.abs(a.score).toFixed(1) })
+      : `z = ${a.score.toFixed(1)}`;
+    return t('{value} vs ~{expected} expected{change}, {score}', { value: fmtCurrency(a.value), expected: fmtCurrency(a.expected), change, score });
+  }
+
+  // Strongest deviations first
+  function renderAnomalyList(found, labels, method) {
+    const panel = $('#anomalyList');
+    panel.classList.toggle('hidden', !method);
+    if (!method) return;
+    if (!found.length) {
+      panel.innerHTML = `<span class="muted">${escapeHtml(t('No anomalies flagged in this view.'))}</span>`;
+      return;
+    }
+    const top = [...found].sort((a, b) => Math.abs(b.score) - Math.abs(a.score)).slice(0, 8);
+    panel.innerHTML = `<strong>${escapeHtml(t('Anomalies ({count})', { count: found.length }))}</strong><ul>` + top.map(a =>
+      `<li class="${a.score > 0 ? 'up' : 'down'}"><strong>${escapeHtml(labels[a.index])} · ${escapeHtml(a.what)}</strong> — ${escapeHtml(explainAnomaly(a, method))}</li>`
+    ).join('') + '</ul>';
+  }
+
+  function readSampleNotes() {
+    try {
+      const list = JSON.parse(localStorage.getItem(SAMPLE_NOTES_KEY) || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  // Sample-data notes live in localStorage; a stored dataset keeps them in its IndexedDB record
+  function saveAnnotations() {
+    if (activeDatasetId === SAMPLE_ID) {
+      try {
+        localStorage.setItem(SAMPLE_NOTES_KEY, JSON.stringify(annotations));
+      } catch (err) {
+        alert(t('Could not save notes: {message}', { message: err.message }));
+      }
+      return;
+    }
+    updateDatasetMeta(activeDatasetId, { annotations }).catch(err => alert(t('Could not save notes: {message}', { message: err.message })));
+  }
+
+  function addAnnotation() {
+    const date = $('#annotationDate').value;
+    const text = $('#annotationText').value.trim();
+    if (!date || !text) {
+      alert(t('Pick a date and type a note.'));
+      return;
+    }
+    annotations = [...annotations, { id: 'n' + Date.now().toString(36), date, text }].sort((a, b) => (a.date < b.date ? -1 : 1));
+    $('#annotationText').value = '';
+    saveAnnotations();
+    renderAnnotationList();
+    renderTimeSeries(dashboardView);
+  }
+
+  function removeAnnotation(id) {
+    annotations = annotations.filter(n => n.id !== id);
+    saveAnnotations();
+    renderAnnotationList();
+    renderTimeSeries(dashboardView);
+  }
+
+  function renderAnnotationList() {
+    $('#annotationList').innerHTML = annotations.map(n =>
+      `<li class="chip">📝 ${escapeHtml(n.date)} · ${escapeHtml(n.text)} <button class="chip-remove" data-id="${escapeHtml(n.id)}" aria-label="${t('Remove note')}">&times;</button></li>`
+    ).join('');
+  }
+
+  /* ========== FORECAST ========== */
+
+  // Periods per seasonal cycle at each granularity
+  const SEASON_LENGTH = { day: 7, week: 52, month: 12, quarter: 4 };
+  const FORECAST_NAMES = { 'holt-winters': 'Holt-Winters', linear: 'Linear trend' };
+
+  // Appends forecast + interval datasets (padding the history ones) and returns the extended axis.
+  // The backtest panel is refreshed on every call, so it follows the filters like the chart does.
+  function addForecast(labels, values, datasets) {
+    const panel = $('#forecastBacktest');
+    const method = forecastMethod.value;
+    const granularity = timeGranularity.value;
+    forecastHorizon.disabled = !method;
+    panel.classList.toggle('hidden', !method);
+    if (!method) return labels;
+    const horizon = Number(forecastHorizon.value);
+    const fc = Analytics.forecastSeries(values, horizon, method, SEASON_LENGTH[granularity]);
+    if (!fc) {
+      panel.textContent = t('At least 4 periods of history are needed for a forecast.');
+      return labels;
+    }
+    // start the forecast lines at the last actual value so they join the history
+    const lead = values.map((v, i) => (i === values.length - 1 ? v : null));
+    const pad = new Array(horizon).fill(null);
+    datasets.forEach(d => { d.data = d.data.concat(pad); });
+    datasets.push(
+      { label: t('Lower bound'), data: lead.concat(fc.lower), pointRadius: 0, borderWidth: 0, fill: false, hideInLegend: true },
+      { label: t('95% interval'), data: lead.concat(fc.upper), pointRadius: 0, borderWidth: 0, fill: '-1', backgroundColor: 'rgba(237,137,54,0.18)' },
+      { label: t('Forecast ({method})', { method: t(FORECAST_NAMES[method]) }), data: lead.concat(fc.point), borderColor: '#ed8936', backgroundColor: '#ed8936', borderDash: [6, 3], pointRadius: 2, tension: 0.25 },
+    );
+
+    const season = SEASON_LENGTH[granularity];
+    const unit = { day: 'days', week: 'weeks', month: 'months', quarter: 'quarters' }[granularity];
+    const scores = Object.keys(FORECAST_NAMES).map(m => ({ m, score: Analytics.backtest(values, horizon, m, season) }));
+    if (!scores[0].score) {
+      panel.textContent = t('Not enough history to backtest the forecast.');
+    } else {
+      const line = scores.map(({ m, score }) => {
+        const mape = score.mape === null ? '—' : (score.mape * 100).toFixed(1) + '%';
+        const text = `${escapeHtml(t(FORECAST_NAMES[m]))}: MAPE ${mape}, RMSE ${escapeHtml(fmtCurrency(score.rmse))}`;
+        return m === method ? `<strong>${text}</strong>` : text;
+      }).join(' · ');
+      panel.innerHTML = `${escapeHtml(t('Backtest on the last {count} {unit}:', { count: scores[0].score.holdout, unit: t(unit) }))} ${line}` +
+        (fc.seasonal ? '' : ` <span class="muted">${escapeHtml(t('(under two seasons of history — no seasonality used)'))}</span>`);
+    }
+    return labels.concat(futurePeriods(labels[labels.length - 1], granularity, horizon));
+  }
+
+  function futurePeriods(lastKey, granularity, count) {
+    const keys = [];
+    let key = lastKey;
+    while (keys.length < count) {
+      key = periodKey(fromUtc(toUtc(periodBounds(key, granularity).to) + DAY_MS), granularity);
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  /* ========== TIME PERIODS ========== */
+
+  const DAY_MS = 86400000;
+  const toUtc = (iso) => Date.UTC(+iso.slice(0, 4), +iso.slice(5, 7) - 1, +iso.slice(8, 10));
+  const fromUtc = (t) => new Date(t).toISOString().slice(0, 10);
+
+  // Label of the period an ISO date falls in: 2025-03-04 / 2025-W10 / 2025-03 / 2025-Q1
+  function periodKey(iso, granularity) {
+    if (granularity === 'month') return iso.slice(0, 7);
+    if (granularity === 'quarter') return `${iso.slice(0, 4)}-Q${Math.floor((+iso.slice(5, 7) - 1) / 3) + 1}`;
+    if (granularity === 'week') {
+      // ISO week: the week belongs to the year of its Thursday
+      const d = new Date(toUtc(iso));
+      d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+      const yr = d.getUTCFullYear();
+      const week = Math.ceil(((d - Date.UTC(yr, 0, 1)) / DAY_MS + 1) / 7);
+      return `${yr}-W${pad2(week)}`;
+    }
+    return iso;
+  }
+
+  // First and last ISO date of a period label produced by periodKey
+  function periodBounds(key, granularity) {
+    if (granularity === 'month') {
+      const last = new Date(Date.UTC(+key.slice(0, 4), +key.slice(5, 7), 0)).getUTCDate();
+      return { from: `${key}-01`, to: `${key}-${pad2(last)}` };
+    }
+    if (granularity === 'quarter') {
+      const yr = +key.slice(0, 4), q = +key.slice(6);
+      const last = new Date(Date.UTC(yr, q * 3, 0)).getUTCDate();
+      return { from: `${yr}-${pad2(q * 3 - 2)}-01`, to: `${yr}-${pad2(q * 3)}-${pad2(last)}` };
+    }
+    if (granularity === 'week') {
+      // Monday of ISO week 1 is the Monday on or before January 4th
+      const yr = +key.slice(0, 4), week = +key.slice(6);
+      const jan4 = Date.UTC(yr, 0, 4);
+      const monday = jan4 - ((new Date(jan4).getUTCDay() || 7) - 1) * DAY_MS + (week - 1) * 7 * DAY_MS;
+      return { from: fromUtc(monday), to: fromUtc(monday + 6 * DAY_MS) };
+    }
+    return { from: key, to: key };
+  }
+
+  // Every period between two ISO dates (inclusive), in calendar order
+  function periodRange(fromIso, toIso, granularity) {
+    const keys = [];
+    for (let t = toUtc(fromIso); t <= toUtc(toIso); t += DAY_MS) {
+      const key = periodKey(fromUtc(t), granularity);
+      if (keys[keys.length - 1] !== key) keys.push(key);
+    }
+    return keys;
+  }
+
+  // Sum a measure per period on a continuous axis; periods without rows are zero.
+  // The axis spans the chosen date range, or the data's own range when none is set.
+  function aggregateByPeriod(data, granularity, from, to, measure = 'sales') {
+    const dated = data.filter(r => r.date);
+    if (!dated.length) return { labels: [], values: [] };
+    const sums = {};
+    let min = dated[0].date, max = dated[0].date;
+    dated.forEach(r => {
+      const key = periodKey(r.date, granularity);
+      sums[key] = (sums[key] || 0) + (Number(r[measure]) || 0);
+      if (r.date < min) min = r.date;
+      if (r.date > max) max = r.date;
+    });
+    const labels = periodRange(from || min, to || max, granularity);
+    return { labels, values: labels.map(k => sums[k] || 0) };
+  }
+
+  // Trailing average over `span` periods; null until a full window is available
+  function movingAverage(values, span) {
+    let sum = 0;
+    return values.map((v, i) => {
+      sum += v;
+      if (i >= span) sum -= values[i - span];
+      return i >= span - 1 ? sum / span : null;
+    });
+  }
+
+  /* ========== COHORT RETENTION ========== */
+
+  // Cohorts need each customer's whole history, so only the category filter applies (not dates or other conditions)
+  function renderCohorts() {
+    const categories = filterState.conditions.filter(c => c.type === 'category');
+    const token = ++cohortToken;
+    callWorker('cohorts', { categories }).then(result => {
+      if (token === cohortToken) drawCohorts(result, categories);
+    }).catch(handleWorkerError('Cohort error'));
+  }
+
+  function drawCohorts(result, categories) {
+    const container = $('#cohortContainer');
+    if (!result.cohorts.length) {
+      $('#cohortStats').textContent = '';
+      container.innerHTML = `<div class="muted">${escapeHtml(t('No rows with both a date and a customer_id.'))}</div>`;
+      return;
+    }
+    const avgGap = result.avgDaysBetween === null ? '—' : result.avgDaysBetween.toFixed(1);
+    $('#cohortStats').innerHTML = `${t('Repeat-purchase rate:')} <strong>${(result.repeatRate * 100).toFixed(1)}%</strong>
+      <span class="muted">${t('(bought on 2+ days)')}</span> · ${t('Avg days between orders:')} <strong>${avgGap}</strong>` +
+      (categories.length ? ` <span class="muted">· ${t(FILTER_LABELS.category)}: ${escapeHtml(describeCondition(categories[0]))}</span>` : '');
+
+    const revenue = cohortMeasure.value === 'revenue';
+    const html = [`<table class="data-table cohort-table"><thead><tr><th>${t('Cohort')}</th><th>${t('Customers')}</th>`];
+    for (let k = 0; k <= result.maxOffset; k++) html.push(`<th>M${k}</th>`);
+    html.push('</tr></thead><tbody>');
+    result.cohorts.forEach(cohort => {
+      const base = revenue ? cohort.cells[0].revenue : cohort.size;
+      html.push(`<tr><td>${cohort.month}</td><td>${fmtNumber(cohort.size)}</td>`);
+      for (let k = 0; k <= result.maxOffset; k++) {
+        const cell = cohort.cells[k];
+        if (!cell) {
+          html.push('<td></td>');
+          continue;
+        }
+        const share = base ? (revenue ? cell.revenue : cell.customers) / base : 0;
+        const title = escapeHtml(t('{customers} customers, {revenue}', { customers: fmtNumber(cell.customers), revenue: fmtCurrency(cell.revenue) }));
+        // revenue can exceed the first month; cap the shade at 100%
+        html.push(`<td class="cohort-cell" style="background:rgba(43,108,176,${Math.min(1, share).toFixed(2)});${share > 0.55 ? 'color:#fff;' : ''}" title="${title}">${(share * 100).toFixed(0)}%</td>`);
+      }
+      html.push('</tr>');
+    });
+    html.push('</tbody></table>');
+    container.innerHTML = html.join('');
+  }
+
+  /* ========== PIVOT ========== */
+
+  // Row values come from the worker (DataPipeline.pivotLines); the page only knows the labels
+  const PIVOT_DIMENSIONS = {
+    category: 'Category', year: 'Year', quarter: 'Quarter', month: 'Month', weekday: 'Weekday', customer: 'Customer', currency: 'Currency'
+  };
+  const PIVOT_VALUES = { sales: 'Sales', orders: 'Orders', customer_id: 'Customer' };
+  const PIVOT_AGG_LABELS = { sum: 'Sum', avg: 'Average', count: 'Count', distinct: 'Distinct count', min: 'Min', max: 'Max', median: 'Median' };
+  const PIVOT_DEFAULT = { rows: ['category'], cols: [], agg: 'sum', value: 'sales', display: 'value', chart: 'bar' };
+  const PIVOT_MAX_ROWS = 500; // rendered rows; the CSV export has them all
+  const PIVOT_PLACEHOLDERS = ['(none)', '(no date)', '(blank)'];
+  const CALC_STORE_KEY = 'jda.calcFields';
+  const CALC_VARIABLES = DataPipeline.CALC_VARIABLES;
+  let pivotState = { ...PIVOT_DEFAULT };
+
+  function readCalcFields() {
+    try {
+      const list = JSON.parse(localStorage.getItem(CALC_STORE_KEY) || '[]');
+      return Array.isArray(list) ? list.filter(f => f?.name && f?.expr) : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  function writeCalcFields(list) {
+    try {
+      localStorage.setItem(CALC_STORE_KEY, JSON.stringify(list));
+    } catch (err) {
+      alert(t('Could not save calculated fields: {message}', { message: err.message }));
+    }
+  }
+
+  // A calculated field that is still stored and still compiles
+  function calcValid(key) {
+    const field = readCalcFields().find(f => 'calc:' + f.name === key);
+    if (!field) return false;
+    try {
+      Analytics.compileExpression(field.expr, CALC_VARIABLES);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
 
-  // Charts
-  let chartCategory = null;
-  let chartTime = null;
+  function pivotLabel(key) {
+    const builtIn = has(PIVOT_DIMENSIONS, key) ? PIVOT_DIMENSIONS[key] : has(PIVOT_VALUES, key) ? PIVOT_VALUES[key] : null;
+    return builtIn ? t(builtIn) : key.replace(/^calc:/, '');
+  }
 
-  // Data store
-  let rawData = []; // array of objects
+  function pivotField(key) {
+    return has(PIVOT_DIMENSIONS, key) || calcValid(key) ? { key, label: pivotLabel(key) } : null;
+  }
 
-  // Init page
-  document.addEventListener('DOMContentLoaded', () => {
-    $('#year').textContent = new Date().getFullYear();
-    attachHandlers();
-    useSampleData(); // load sample by default for instant demo
-  });
+  function renderPivotFields() {
+    const calc = readCalcFields().map(f => 'calc:' + f.name);
+    const chip = (key, removable) => `<span class="chip pivot-chip" draggable="true" data-field="${escapeHtml(key)}">${escapeHtml(pivotLabel(key))}` +
+      (removable ? ` <button class="chip-remove" data-remove-field="${escapeHtml(key)}" aria-label="${t('Remove')}">&times;</button>` : '') + '</span>';
+    const placed = new Set([...pivotState.rows, ...pivotState.cols]);
+    $('#pivotFields').innerHTML = Object.keys(PIVOT_DIMENSIONS).concat(calc).filter(k => !placed.has(k))
+      .map(k => chip(k, k.startsWith('calc:'))).join('') || `<span class="muted">${t('All fields placed')}</span>`;
+    const empty = `<span class="muted">${t('Drop fields here')}</span>`;
+    $('#pivotRows').innerHTML = pivotState.rows.map(k => chip(k, true)).join('') || empty;
+    $('#pivotCols').innerHTML = pivotState.cols.map(k => chip(k, true)).join('') || empty;
 
-  function attachHandlers() {
-    csvFile.addEventListener('change', handleFile);
-    useSample.addEventListener('click', (e) => {
-      e.preventDefault();
-      useSampleData();
+    const values = Object.keys(PIVOT_VALUES).concat(calc);
+    if (!values.includes(pivotState.value)) pivotState.value = 'sales';
+    $('#pivotValue').innerHTML = values.map(k => `<option value="${escapeHtml(k)}">${escapeHtml(pivotLabel(k))}</option>`).join('');
+    $('#pivotValue').value = pivotState.value;
+    $('#pivotAgg').value = pivotState.agg;
+    $('#pivotDisplay').value = pivotState.display;
+    $('#pivotChart').value = pivotState.chart;
+  }
+
+  function attachPivotHandlers() {
+    const builder = $('.pivot-builder');
+    builder.addEventListener('dragstart', (e) => {
+      const chip = e.target.closest('[data-field]');
+      if (chip) e.dataTransfer.setData('text/plain', chip.dataset.field);
     });
-    categoryFilter.addEventListener('change', refreshDashboard);
-    dateFrom.addEventListener('change', refreshDashboard);
-    dateTo.addEventListener('change', refreshDashboard);
-    $('#contactForm').addEventListener('submit', (e) => {
+    builder.addEventListener('dragover', (e) => {
+      const zone = e.target.closest('.pivot-zone');
+      if (!zone) return;
       e.preventDefault();
-      alert('Thanks! Message sent (demo).');
-      e.target.reset();
-    });
-    $$('.mini-btn').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const demo = e.currentTarget.getAttribute('data-demo');
-        openModalDemo(demo);
-      });
+      zone.classList.add('over');
     });
-    $('.modal .close')?.addEventListener('click', closeModal);
-    downloadCsv.addEventListener('click', () => {
-      downloadCleanCsv(rawData);
+    builder.addEventListener('dragleave', (e) => e.target.closest('.pivot-zone')?.classList.remove('over'));
+    builder.addEventListener('drop', (e) => {
+      const zone = e.target.closest('.pivot-zone');
+      if (!zone) return;
+      e.preventDefault();
+      zone.classList.remove('over');
+      const key = e.dataTransfer.getData('text/plain');
+      if (key) placePivotField(key, zone.dataset.zone);
     });
-  }
-
-  function handleFile(e) {
-    const f = e.target.files[0];
-    if (!f) return;
-    Papa.parse(f, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        rawData = standardizeRows(results.data);
-        afterDataLoad();
-      },
-      error: (err) => {
-        alert('CSV parse error: ' + err.message);
+    // click fallback: a field in the list goes to Rows; × takes it off (or deletes a calculated field)
+    builder.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-remove-field]');
+      if (remove) {
+        const key = remove.dataset.removeField;
+        if (remove.closest('.pivot-zone').dataset.zone === 'fields') deleteCalcField(key);
+        else placePivotField(key, 'fields');
+        return;
       }
+      const chip = e.target.closest('[data-field]');
+      if (chip && chip.closest('.pivot-zone').dataset.zone === 'fields') placePivotField(chip.dataset.field, 'rows');
+    });
+    [['#pivotAgg', 'agg'], ['#pivotValue', 'value'], ['#pivotDisplay', 'display'], ['#pivotChart', 'chart']].forEach(([sel, prop]) => {
+      $(sel).addEventListener('change', (e) => {
+        pivotState = { ...pivotState, [prop]: e.target.value };
+        renderPivot();
+        syncUrlState();
+      });
     });
+    $('#addCalcField').addEventListener('click', addCalcField);
+    $('#exportPivot').addEventListener('click', exportPivot);
   }
 
-  // Create friendly, consistent rows: ensure date, category, sales, orders, customer_id exist
-  function standardizeRows(rows) {
-    return rows.map(r => {
-      // Try to handle different header names
-      const lower = {};
-      for (const k of Object.keys(r)) lower[k.trim().toLowerCase()] = r[k];
-      return {
-        date: normalizeDate(lower.date || lower.timestamp || lower.order_date || ''),
-        category: (lower.category || lower.product_category || lower.segment || 'Unknown').trim(),
-        sales: parseNumber(lower.sales || lower.revenue || lower.amount || 0),
-        orders: parseNumber(lower.orders || lower.qty || 1),
-        customer_id: (lower.customer_id || lower.customer || lower.user_id || '').toString()
-      };
-    }).map(r => ({ ...r, sales: Number(r.sales), orders: Number(r.orders) }));
+  // zone: 'rows' | 'cols' | 'fields' (back to the list)
+  function placePivotField(key, zone) {
+    const rows = pivotState.rows.filter(k => k !== key);
+    const cols = pivotState.cols.filter(k => k !== key);
+    if (zone === 'rows') rows.push(key);
+    if (zone === 'cols') cols.push(key);
+    pivotState = { ...pivotState, rows, cols };
+    renderPivot();
+    syncUrlState();
   }
 
-  function normalizeDate(v) {
-    if (!v) return null;
-    const d = new Date(v);
-    if (!isNaN(d)) return d.toISOString().slice(0,10);
-    // fallback: try to parse dd/mm/yyyy
-    const m = v.match(/(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})/);
-    if (m) {
-      let day = m[1].padStart(2,'0'), mon = m[2].padStart(2,'0'), yr = m[3];
-      if (yr.length === 2) yr = '20' + yr;
-      return `${yr}-${mon}-${day}`;
+  function addCalcField() {
+    const name = prompt(t('Name for the calculated field:'), '');
+    if (!name || !name.trim()) return;
+    const fields = readCalcFields();
+    if (fields.some(f => f.name === name.trim()) || Object.values(PIVOT_DIMENSIONS).includes(name.trim())) {
+      alert(t('A field with that name already exists.'));
+      return;
     }
-    return null;
-  }
-
-  function afterDataLoad() {
-    populateCategoryFilter();
-    refreshDashboard();
-    downloadCsv.classList.remove('hidden');
+    const expr = prompt(t('Expression using {variables}.\nExamples: {examples}', {
+      variables: CALC_VARIABLES.join(', '),
+      examples: 'sales / orders — sales > 500 ? "Large" : "Small" — year + "-Q" + quarter',
+    }), '');
+    if (!expr || !expr.trim()) return;
+    try {
+      Analytics.compileExpression(expr, CALC_VARIABLES);
+    } catch (err) {
+      alert(t('Invalid expression: {message}', { message: err.message }));
+      return;
+    }
+    writeCalcFields([...fields, { name: name.trim(), expr: expr.trim() }]);
+    renderPivot();
   }
 
-  function populateCategoryFilter() {
-    const cats = Array.from(new Set(rawData.map(r => r.category))).filter(Boolean).sort();
-    categoryFilter.innerHTML = '<option value="__all__">All categories</option>' +
-      cats.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+  function deleteCalcField(key) {
+    if (!confirm(t('Delete the calculated field "{name}"?', { name: pivotLabel(key) }))) return;
+    writeCalcFields(readCalcFields().filter(f => 'calc:' + f.name !== key));
+    placePivotField(key, 'fields');
   }
 
-  function getFilteredData() {
-    const cat = categoryFilter.value || '__all__';
-    const from = dateFrom.value || null;
-    const to = dateTo.value || null;
-    return rawData.filter(r => {
-      if (cat !== '__all__' && r.category !== cat) return false;
-      if (from && r.date && r.date < from) return false;
-      if (to && r.date && r.date > to) return false;
-      return true;
+  // The worker's pivot lines (leaf rows, subtotals, grand total) with labels for the page;
+  // limit caps the leaf rows sent back (null for all). Resolves to null when there is nothing to show.
+  function pivotMatrix(limit) {
+    const rowFields = pivotState.rows.map(pivotField).filter(Boolean);
+    const colFields = pivotState.cols.map(pivotField).filter(Boolean);
+    const valueOk = has(PIVOT_VALUES, pivotState.value) || calcValid(pivotState.value);
+    if (!valueOk || (!rowFields.length && !colFields.length)) return Promise.resolve(null);
+    const spec = {
+      rows: rowFields.map(f => f.key),
+      cols: colFields.map(f => f.key),
+      value: pivotState.value,
+      agg: pivotState.agg,
+      display: pivotState.display,
+      calcFields: readCalcFields(),
+    };
+    return callWorker('pivot', { filters: currentFilters(), spec, limit }).then(({ pivot }) => {
+      if (!pivot) return null;
+      const valueLabel = `${t(PIVOT_AGG_LABELS[pivotState.agg])} ${t('of')} ${pivotLabel(pivotState.value)}`;
+      // the worker's placeholders and weekday names are English
+      const display = (fields) => (k, i) => (PIVOT_PLACEHOLDERS.includes(k) || fields[i].key === 'weekday' ? t(k) : k);
+      const colLabels = pivot.colKeys.map(ck => (ck.length ? ck.map(display(colFields)).join(' / ') : valueLabel));
+      const lines = pivot.lines.map(l => ({ ...l, key: l.key.map(display(rowFields)) }));
+      return { ...pivot, lines, rowFields, colFields, colLabels, valueLabel };
     });
   }
 
-  function refreshDashboard() {
-    const data = getFilteredData();
-    // KPIs
-    const totalSales = data.reduce((s, x) => s + (Number(x.sales) || 0), 0);
-    const totalOrders = data.reduce((s, x) => s + (Number(x.orders) || 0), 0) || 1;
-    const uniqCust = new Set(data.filter(x => x.customer_id).map(x => x.customer_id)).size || 0;
-    kpiTotal.textContent = fmtCurrency(totalSales.toFixed(2));
-    kpiAvg.textContent = fmtCurrency((totalSales / totalOrders).toFixed(2));
-    kpiCust.textContent = uniqCust;
+  function formatPivotValue(v, compact = false) {
+    if (v === null || v === undefined) return '';
+    if (pivotState.display !== 'value') return (v * 100).toFixed(1) + '%';
+    if (pivotState.agg === 'count' || pivotState.agg === 'distinct') return fmtNumber(v);
+    if (pivotState.value === 'sales') return compact ? fmtCompact(v) : fmtCurrency(v);
+    return fmtNumber(v, 2);
+  }
 
-    renderCategoryChart(data);
-    renderTimeSeries(data);
-    renderTable(data.slice(0, 200)); // preview first 200 rows
+  function renderPivot() {
+    renderPivotFields();
+    const token = ++pivotToken;
+    pivotMatrix(PIVOT_MAX_ROWS).then(matrix => {
+      if (token === pivotToken) drawPivot(matrix);
+    }).catch(handleWorkerError('Pivot error'));
   }
 
-  /* ========== CHARTS ========== */
+  function drawPivot(matrix) {
+    const container = $('#pivotContainer');
+    const canvas = $('#chartPivot');
+    if (chartPivot) chartPivot.destroy();
+    chartPivot = null;
+    if (!matrix) {
+      container.innerHTML = `<div class="muted">${t('Drag a field onto Rows or Columns to build a pivot.')}</div>`;
+      canvas.classList.add('hidden');
+      return;
+    }
+    const { rowFields, colLabels, lines, withTotal, valueLabel, leafCount, max } = matrix;
+    const heat = pivotState.chart === 'heatmap';
+    const leaf = lines.filter(l => l.kind === 'row');
+    const shade = (v) => {
+      if (!heat || !max || v === null) return '';
+      const a = Math.abs(v) / max;
+      return ` style="background:rgba(43,108,176,${a.toFixed(2)});${a > 0.55 ? 'color:#fff;' : ''}"`;
+    };
 
-  function renderCategoryChart(data) {
-    const agg = {};
-    data.forEach(r => {
-      const c = r.category || 'Unknown';
-      agg[c] = (agg[c] || 0) + (Number(r.sales) || 0);
+    const html = ['<table class="data-table pivot-table"><thead><tr>'];
+    rowFields.forEach(f => html.push(`<th>${escapeHtml(f.label)}</th>`));
+    colLabels.forEach(l => html.push(`<th>${escapeHtml(l)}</th>`));
+    if (withTotal) html.push(`<th>${t('Total')}</th>`);
+    html.push('</tr></thead><tbody>');
+    lines.forEach(l => {
+      const head = l.kind === 'row'
+        ? l.key.map(k => `<td>${escapeHtml(String(k))}</td>`).join('')
+        : `<td colspan="${rowFields.length}">${l.kind === 'total' ? t('Grand total') : `${t('Subtotal')}: ${escapeHtml(l.key.join(' / '))}`}</td>`;
+      html.push(`<tr class="pivot-${l.kind}">${head}`);
+      l.cells.forEach(v => html.push(`<td${l.kind === 'row' ? shade(v) : ''}>${formatPivotValue(v)}</td>`));
+      if (withTotal) html.push(`<td>${formatPivotValue(l.total)}</td>`);
+      html.push('</tr>');
     });
-    const labels = Object.keys(agg).sort((a,b)=>agg[b]-agg[a]);
-    const values = labels.map(l => agg[l]);
+    html.push('</tbody></table>');
+    if (leafCount > leaf.length) {
+      html.push(`<div class="muted">${t('Showing the first {limit} of {count} rows — export the CSV for all of them.',
+        { limit: fmtNumber(PIVOT_MAX_ROWS), count: fmtNumber(leafCount) })}</div>`);
+    }
+    container.innerHTML = html.join('');
 
-    const ctx = $('#chartCategory').getContext('2d');
-    if (chartCategory) chartCategory.destroy();
-    chartCategory = new Chart(ctx, {
-      type: 'bar',
+    canvas.classList.toggle('hidden', heat || !leaf.length);
+    if (heat || !leaf.length) return;
+    const chartRows = leaf.slice(0, 50);
+    const type = pivotState.chart === 'line' ? 'line' : 'bar';
+    const stacked = pivotState.chart === 'stacked';
+    chartPivot = new Chart(canvas.getContext('2d'), {
+      type,
       data: {
-        labels,
-        datasets: [{
-          label: 'Sales ($)',
-          data: values,
-          borderRadius: 8,
-          maxBarThickness: 48
-        }]
+        labels: chartRows.map(l => (l.key.length ? l.key.join(' / ') : valueLabel)),
+        datasets: colLabels.map((label, j) => ({ label, data: chartRows.map(l => l.cells[j]), tension: 0.25, maxBarThickness: 48 })),
       },
       options: {
-        plugins: { legend: { display: false } },
         responsive: true,
-        scales: { y: { beginAtZero: true } },
+        plugins: { legend: { display: colLabels.length > 1 } },
+        scales: { x: { stacked }, y: { stacked, beginAtZero: true, ticks: { callback: (v) => formatPivotValue(v, true) } } },
       }
     });
   }
 
-  function renderTimeSeries(data) {
-    // aggregate by date
-    const byDate = {};
-    data.forEach(r => {
-      const d = r.date || 'unknown';
-      byDate[d] = (byDate[d] || 0) + (Number(r.sales) || 0);
-    });
-    // sort by date (unknowns last)
-    const dates = Object.keys(byDate).filter(d => d !== 'null' && d !== 'undefined').sort();
-    const values = dates.map(d => byDate[d]);
+  function exportPivot() {
+    pivotMatrix(null).then(matrix => {
+      if (matrix) downloadPivot(matrix);
+      else alert(t('Build a pivot first.'));
+    }).catch(handleWorkerError('Pivot error'));
+  }
 
-    const ctx = $('#chartTime').getContext('2d');
-    if (chartTime) chartTime.destroy();
-    chartTime = new Chart(ctx, {
-      type: 'line',
-      data: {
-        labels: dates,
-        datasets: [{
-          label: 'Sales',
-          data: values,
-          tension: 0.25,
-          pointRadius: 3,
-        }]
-      },
-      options: {
-        plugins:{legend:{display:false}},
-        scales:{x:{ticks:{maxRotation:0}}, y:{beginAtZero:true}}
-      }
+  function downloadPivot({ rowFields, colLabels, lines, withTotal }) {
+    const round = (v) => (v === null || v === undefined ? '' : Math.round(v * 10000) / 10000);
+    const rows = lines.map(l => {
+      const out = {};
+      rowFields.forEach((f, i) => {
+        out[f.label] = l.kind === 'row' ? l.key[i] : i === 0 ? (l.kind === 'total' ? t('Grand total') : `${t('Subtotal')}: ${l.key.join(' / ')}`) : '';
+      });
+      colLabels.forEach((label, j) => { out[label] = round(l.cells[j]); });
+      if (withTotal) out[t('Total')] = round(l.total);
+      return out;
     });
+    downloadFile(toCsv(rows), 'text/csv', 'pivot.csv');
   }
-  
-  /* ========== TABLE PREVIEW (First 5 rows only) ========== */
-function renderTable(rows) {
-  if (!rows || rows.length === 0) {
-    tableContainer.innerHTML = '<div class="muted">No rows to show.</div>';
-    return;
+
+  /* ========== DATA TABLE ========== */
+
+  // Ask the worker for the current page of the filtered rows after search and sort
+  function updateTableView() {
+    const token = ++table.token;
+    callWorker('table', { filters: currentFilters(), search: table.search, sort: table.sort, page: table.page, size: Number(pageSize.value) })
+      .then(result => {
+        if (token !== table.token) return; // a newer page is on its way
+        table.page = result.page;
+        table.result = result;
+        drawTable();
+      })
+      .catch(handleWorkerError('Table error'));
+    syncUrlState();
   }
 
-  // Faqat dastlabki 5 ta qatorni olish
-  const previewRows = rows.slice(0, 5);
+  // Only the rows of the visible page are turned into DOM
+  function drawTable() {
+    const { sort, result } = table;
+    if (!result?.total) {
+      tableContainer.innerHTML = `<div class="muted">${t('No rows to show.')}</div>`;
+      tablePager.innerHTML = '';
+      return;
+    }
+    const { rows: pageRows, columns: cols, footer, start, matched, pages } = result;
+    const html = [];
+    html.push('<table class="data-table"><thead><tr>');
+    cols.forEach(c => {
+      const arrow = sort?.col === c ? (sort.dir === 1 ? ' ▲' : ' ▼') : '';
+      html.push(`<th data-col="${escapeHtml(c)}" class="sortable">${escapeHtml(c)}${arrow}</th>`);
+    });
+    html.push('</tr></thead><tbody>');
+
+    pageRows.forEach(r => {
+      html.push('<tr>');
+      cols.forEach(c => html.push(`<td>${escapeHtml(formatCell(r, c))}</td>`));
+      html.push('</tr>');
+    });
+    if (!pageRows.length) html.push(`<tr><td colspan="${cols.length}" class="muted">${t('No rows match the search.')}</td></tr>`);
 
-  const cols = Object.keys(previewRows[0]);
-  const html = [];
-  html.push('<table class="data-table"><thead><tr>');
-  cols.forEach(c => html.push(`<th>${escapeHtml(c)}</th>`));
-  html.push('</tr></thead><tbody>');
+    // footers summarise every row matching the search (worked out by the worker), not just this page
+    html.push('</tbody><tfoot><tr>');
+    cols.forEach(c => {
+      const f = footer[c];
+      if (f.sums) {
+        // original amounts only add up per currency
+        html.push(`<td>${Object.entries(f.sums).map(([cur, sum]) => `Σ ${escapeHtml(fmtCurrency(sum, cur))}`).join('<br>')}</td>`);
+      } else if (f.distinct === undefined) {
+        const fmt = (v) => escapeHtml(c === 'sales' ? fmtCurrency(v) : fmtNumber(v, 2));
+        html.push(`<td>Σ ${fmt(f.sum)}<br><span class="muted">${t('avg')} ${fmt(f.avg)}</span></td>`);
+      } else {
+        html.push(`<td>${fmtNumber(f.distinct)} <span class="muted">${t('distinct')}</span></td>`);
+      }
+    });
+    html.push('</tr></tfoot></table>');
+    tableContainer.innerHTML = html.join('');
 
-  previewRows.forEach(r => {
-    html.push('<tr>');
-    cols.forEach(c => html.push(`<td>${escapeHtml(String(r[c] ?? ''))}</td>`));
-    html.push('</tr>');
-  });
+    const end = start + pageRows.length;
+    tablePager.innerHTML = `
+      <span class="muted">${t('{range} of {total} rows', { range: matched ? `${start + 1}–${end}` : 0, total: fmtNumber(matched) })}</span>
+      <button class="mini-btn" data-page="0" ${table.page === 0 ? 'disabled' : ''}>«</button>
+      <button class="mini-btn" data-page="${table.page - 1}" ${table.page === 0 ? 'disabled' : ''}>${t('‹ Prev')}</button>
+      <span>${t('Page {page} of {pages}', { page: table.page + 1, pages })}</span>
+      <button class="mini-btn" data-page="${table.page + 1}" ${table.page >= pages - 1 ? 'disabled' : ''}>${t('Next ›')}</button>
+      <button class="mini-btn" data-page="${pages - 1}" ${table.page >= pages - 1 ? 'disabled' : ''}>»</button>`;
+  }
 
-  html.push('</tbody></table>');
-  tableContainer.innerHTML = html.join('');
-}
+  // Money in the reporting currency, original amounts in their own; dates and text as stored
+  function formatCell(r, col) {
+    const v = r[col];
+    if (typeof v !== 'number') return String(v ?? '');
+    if (col === 'sales') return fmtCurrency(v);
+    if (col === 'amount') return fmtCurrency(v, r.currency);
+    return fmtNumber(v, 2);
+  }
 
-  
   /* ========== SAMPLE DATA ========== */
 
   function useSampleData() {
@@ -374,39 +2357,688 @@ function renderTable(rows) {
       {date:'2025-12-29', category:'Groceries', sales:150.00, orders:4, customer_id:'C119'},
       {date:'2025-12-31', category:'Electronics', sales:4500.00, orders:9, customer_id:'C120'}
     ];
-    rawData = sample.map(r => ({...r}));
-    afterDataLoad();
+    rawData = DataPipeline.convertRows(sample, currencySettings); // the sample is in USD
+    callWorker('load', { rows: rawData }).then(afterDataLoad).catch(handleWorkerError('Load error'));
+    setActiveDataset(SAMPLE_ID);
+    resetImportUi();
+    annotations = readSampleNotes();
+    renderAnnotationList();
+  }
+
+  function resetImportUi() {
+    lastImport = null;
+    editMapping.classList.add('hidden');
+    mappingPanel.classList.add('hidden');
+    qualityPanel.classList.add('hidden');
+    reviewQuality.classList.add('hidden');
+  }
+
+  /* ========== CURRENCY / LANGUAGE ========== */
+
+  function readCurrencySettings() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(CURRENCY_STORE_KEY));
+    } catch (err) {
+      // defaults below
+    }
+    const rates = saved?.rates && typeof saved.rates === 'object' ? saved.rates : { ...DEFAULT_RATES };
+    rates[DataPipeline.BASE_CURRENCY] = 1;
+    return { reporting: rates[saved?.reporting] ? saved.reporting : DataPipeline.BASE_CURRENCY, rates };
+  }
+
+  // Store the settings and re-convert the loaded rows; KPIs and charts follow on the next refresh
+  function saveCurrencySettings(settings) {
+    currencySettings = settings;
+    try {
+      localStorage.setItem(CURRENCY_STORE_KEY, JSON.stringify(settings));
+    } catch (err) {
+      // still applies to this session
+    }
+    renderCurrencyOptions();
+    rawData = DataPipeline.convertRows(rawData, currencySettings);
+    callWorker('load', { rows: rawData }).then(afterDataLoad).catch(handleWorkerError('Load error'));
+  }
+
+  function renderCurrencyOptions() {
+    reportingCurrency.innerHTML = Object.keys(currencySettings.rates).sort()
+      .map(c => `<option value="${c}">${c}</option>`).join('');
+    reportingCurrency.value = currencySettings.reporting;
+  }
+
+  // Rows in a currency without a rate are counted as 0 by convertRows
+  function updateCurrencyWarning() {
+    const missing = [...new Set(rawData.map(r => r.currency))].filter(c => c && !currencySettings.rates[c]);
+    const warn = $('#currencyWarning');
+    warn.textContent = missing.length ? t('No exchange rate for {codes} — those amounts count as 0.', { codes: missing.join(', ') }) : '';
+    warn.classList.toggle('hidden', !missing.length);
+  }
+
+  function openRatesPanel() {
+    rateDraft = { ...currencySettings.rates };
+    renderRateTable();
+    ratesPanel.classList.remove('hidden');
+  }
+
+  // Every currency with a rate or with rows in the current dataset; USD is fixed at 1
+  function renderRateTable() {
+    const counts = {};
+    rawData.forEach(r => { counts[r.currency] = (counts[r.currency] || 0) + 1; });
+    const codes = [...new Set([...Object.keys(rateDraft), ...Object.keys(counts)])].sort();
+    const base = DataPipeline.BASE_CURRENCY;
+    $('#rateTable').innerHTML = `<table class="data-table rate-table"><thead><tr>
+        <th>${t('Currency')}</th><th>${t('Units per 1 USD')}</th><th>${t('Rows')}</th><th></th>
+      </tr></thead><tbody>` + codes.map(c => `<tr>
+        <td>${escapeHtml(c)}</td>
+        <td><input type="number" min="0" step="any" data-code="${escapeHtml(c)}" value="${rateDraft[c] ?? ''}"${c === base ? ' disabled' : ''} /></td>
+        <td>${fmtNumber(counts[c] || 0)}</td>
+        <td>${c === base || counts[c] ? '' : `<button class="chip-remove" data-remove-rate="${escapeHtml(c)}" aria-label="${t('Remove')}">&times;</button>`}</td>
+      </tr>`).join('') + '</tbody></table>';
+  }
+
+  // Keep what was typed before the table is redrawn; blanks mean "no rate"
+  function readRateInputs() {
+    $$('#rateTable input[data-code]').forEach(input => {
+      const v = Number(input.value);
+      if (input.value !== '' && v > 0) rateDraft[input.dataset.code] = v;
+      else delete rateDraft[input.dataset.code];
+    });
+    rateDraft[DataPipeline.BASE_CURRENCY] = 1;
+  }
+
+  function addRateRow() {
+    const input = $('#newCurrency');
+    const code = DataPipeline.normalizeCurrency(input.value);
+    if (!code) {
+      alert(t('Enter a three-letter ISO currency code, e.g. KGS.'));
+      return;
+    }
+    readRateInputs();
+    if (!(code in rateDraft)) rateDraft[code] = '';
+    input.value = '';
+    renderRateTable();
+    $(`#rateTable input[data-code="${code}"]`)?.focus();
+  }
+
+  function applyRatesFromPanel() {
+    readRateInputs();
+    const reporting = rateDraft[currencySettings.reporting] ? currencySettings.reporting : DataPipeline.BASE_CURRENCY;
+    saveCurrencySettings({ reporting, rates: { ...rateDraft } });
+    ratesPanel.classList.add('hidden');
+  }
+
+  function readLanguage() {
+    let lang = null;
+    try {
+      lang = localStorage.getItem(LANGUAGE_STORE_KEY);
+    } catch (err) {
+      // English
+    }
+    return I18N.LANGUAGES[lang] ? lang : 'en';
+  }
+
+  function setLanguage(lang) {
+    language = I18N.LANGUAGES[lang] ? lang : 'en';
+    try {
+      localStorage.setItem(LANGUAGE_STORE_KEY, language);
+    } catch (err) {
+      // still applies to this session
+    }
+    translatePage();
+    renderQualityButton();
+    renderSavedViews();
+    renderDatasetPicker();
+    updateCurrencyWarning();
+    if (!ratesPanel.classList.contains('hidden')) {
+      readRateInputs();
+      renderRateTable();
+    }
+    if (!mappingPanel.classList.contains('hidden')) openMappingWizard(readWizardMapping(), readWizardFormats());
+    if (!qualityPanel.classList.contains('hidden')) {
+      readQualityChoices();
+      openQualityPanel();
+    }
+    renderAnnotationList();
+    refreshDashboard();
+  }
+
+  // Static text carries data-i18n; the English original is kept in it as the lookup key
+  function translatePage() {
+    $$('[data-i18n]').forEach(el => {
+      if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim();
+      el.textContent = t(el.dataset.i18n);
+    });
+    $$('[data-i18n-placeholder]').forEach(el => {
+      if (!el.dataset.i18nPlaceholder) el.dataset.i18nPlaceholder = el.placeholder;
+      el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    document.documentElement.lang = language;
+  }
+
+  const locale = () => I18N.LANGUAGES[language].locale;
+
+  // Intl formatters are slow to build, so one per locale + options
+  function numberFormat(options) {
+    const key = language + JSON.stringify(options);
+    if (!formatters.has(key)) formatters.set(key, new Intl.NumberFormat(locale(), options));
+    return formatters.get(key);
+  }
+
+  function fmtCurrency(v, currency = currencySettings.reporting) {
+    return numberFormat({ style: 'currency', currency }).format(Number(v) || 0);
+  }
+
+  // KPIs and chart axes: 12,6 mln soʻm instead of 12 634 500,00 soʻm
+  function fmtCompact(v, currency = currencySettings.reporting) {
+    if (!COMPACT_FROM[currency] || Math.abs(v) < COMPACT_FROM[currency]) return fmtCurrency(v, currency);
+    return numberFormat({ style: 'currency', currency, notation: 'compact', maximumFractionDigits: 1 }).format(v);
+  }
+
+  function fmtNumber(v, digits = 0) {
+    return numberFormat({ maximumFractionDigits: digits }).format(Number(v) || 0);
   }
 
   /* ========== DOWNLOAD / EXPORT ========== */
 
   function downloadCleanCsv(rows) {
     if (!rows || rows.length === 0) {
-      alert('No data to download.');
+      alert(t('No data to download.'));
       return;
     }
-    // convert to CSV
+    downloadFile(toCsv(rows), 'text/csv', 'clean_data.csv');
+  }
+
+  function toCsv(rows) {
     const cols = Object.keys(rows[0]);
     const lines = [cols.join(',')];
     rows.forEach(r => {
       lines.push(cols.map(c => {
         const v = r[c] ?? '';
-        // escape commas/quotes
+        // escape commas/quotes/newlines
         const s = String(v).replace(/"/g, '""');
-        return /[,"]/g.test(s) ? `"${s}"` : s;
+        return /[,"\n]/.test(s) ? `"${s}"` : s;
       }).join(','));
     });
-    const blob = new Blob([lines.join('\n')], {type: 'text/csv'});
+    return lines.join('\n');
+  }
+
+  function downloadFile(content, type, filename) {
+    const blob = content instanceof Blob ? content : new Blob([content], {type});
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'clean_data.csv';
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     a.remove();
     URL.revokeObjectURL(url);
   }
   // tableContainer
+  /* ========== CUSTOMER SEGMENTATION (RFM) ========== */
+
+  let segmentation = null; // { refDate, customers, clustered } for the open modal
+
+  function segmentationHtml() {
+    const ks = [2, 3, 4, 5, 6, 7, 8].map(k => `<option${k === 4 ? ' selected' : ''}>${k}</option>`).join('');
+    return `<h3>${t('Customer Segmentation (RFM)')}</h3>
+      <p id="segNote" class="muted"></p>
+      <div class="chart-controls">
+        <label><input type="checkbox" id="segKmeans" /> ${t('k-means clusters')}</label>
+        <label>k <select id="segK" disabled>${ks}</select></label>
+        <button id="segExport" class="mini-btn">${t('Export CSV')}</button>
+      </div>
+      <canvas id="chartSeg" height="150"></canvas>
+      <div id="segSummary" class="table-container"></div>`;
+  }
+
+  // Scores the customers in the current dashboard view (filters applied)
+  function renderSegmentation() {
+    segmentation = Analytics.rfm(getFilteredData());
+    const { customers, refDate } = segmentation;
+    if (!customers.length) {
+      $('#segNote').textContent = t('No rows with both a date and a customer_id in the current view.');
+      $('#segExport').disabled = true;
+      return;
+    }
+    $('#segNote').textContent = t('{count} customers in the current view. Recency is counted back from the latest date, {date}; scores are quintiles (5 = best).',
+      { count: fmtNumber(customers.length), date: refDate });
+    $('#segKmeans').addEventListener('change', drawSegmentation);
+    $('#segK').addEventListener('change', drawSegmentation);
+    $('#segExport').addEventListener('click', exportSegments);
+    drawSegmentation();
+  }
+
+  function drawSegmentation() {
+    const clusters = $('#segKmeans').checked;
+    $('#segK').disabled = !clusters;
+    segmentation.clustered = clusters ? Analytics.clusterCustomers(segmentation.customers, Number($('#segK').value)) : null;
+    const groups = Analytics.summarizeSegments(segmentation.clustered || segmentation.customers, clusters ? 'cluster' : 'segment');
+    const pct = (v) => (v * 100).toFixed(1) + '%';
+    // segment and cluster names stay English in the data and the CSV
+    const groupLabel = (name) => (clusters ? t('Cluster {n}', { n: name.replace(/^Cluster /, '') }) : t(name));
+
+    if (chartSeg) chartSeg.destroy();
+    chartSeg = new Chart($('#chartSeg').getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: groups.map(g => groupLabel(g.name)),
+        datasets: [
+          { label: t('Customers'), data: groups.map(g => g.customers), borderRadius: 6, maxBarThickness: 40 },
+          { label: t('Revenue share (%)'), data: groups.map(g => +(g.revenueShare * 100).toFixed(1)), type: 'line', yAxisID: 'y1', tension: 0.25 },
+        ]
+      },
+      options: {
+        responsive: true,
+        scales: {
+          y: { beginAtZero: true, title: { display: true, text: t('Customers') } },
+          y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: t('% of revenue') } },
+        }
+      }
+    });
+
+    const html = [`<table class="data-table"><thead><tr><th>${clusters ? t('Cluster') : t('Segment')}</th>`,
+      `<th>${t('Customers')}</th><th>${t('Revenue')}</th><th>${t('Avg recency (days)')}</th><th>${t('Avg orders')}</th><th>${t('Avg spend')}</th></tr></thead><tbody>`];
+    groups.forEach(g => {
+      html.push(`<tr><td>${escapeHtml(groupLabel(g.name))}</td>
+        <td>${fmtNumber(g.customers)} <span class="muted">${pct(g.share)}</span></td>
+        <td>${fmtCurrency(g.revenue.toFixed(2))} <span class="muted">${pct(g.revenueShare)}</span></td>
+        <td>${g.recency.toFixed(0)}</td><td>${g.frequency.toFixed(1)}</td><td>${fmtCurrency(g.monetary.toFixed(2))}</td></tr>`);
+    });
+    html.push('</tbody></table>');
+    $('#segSummary').innerHTML = html.join('');
+  }
+
+  function exportSegments() {
+    const rows = (segmentation.clustered || segmentation.customers).map(c => ({
+      customer_id: c.customer_id,
+      last_purchase: c.last_purchase,
+      recency_days: c.recency,
+      frequency: c.frequency,
+      monetary: c.monetary,
+      r_score: c.r,
+      f_score: c.f,
+      m_score: c.m,
+      rfm: c.rfm,
+      segment: c.segment,
+      ...(c.cluster ? { cluster: c.cluster } : {}),
+    }));
+    downloadFile(toCsv(rows), 'text/csv', 'customer_segments.csv');
+  }
+
+  /* ========== A/B TEST CALCULATOR ========== */
+
+  // Kept between openings of the modal; the first variant is the control.
+  // The example variants are named on first opening, in the language shown then.
+  let abVariants = null;
+
+  function abTestHtml() {
+    return `<h3>${t('A/B Test Calculator')}</h3>
+      <p class="muted">${t('The first row is the control. Type the counts or upload a CSV with one row per variant (variant, visitors, conversions) or one row per visitor (variant, converted 0/1).')}</p>
+      <div id="abRows"></div>
+      <div class="chart-controls">
+        <button id="abAdd" class="mini-btn">${t('Add variant')}</button>
+        <label class="mini-btn">${t('Upload CSV')}<input type="file" id="abFile" accept=".csv,text/csv" hidden /></label>
+        <label>${t('Confidence')}
+          <select id="abConfidence"><option value="0.9">90%</option><option value="0.95" selected>95%</option><option value="0.99">99%</option></select>
+        </label>
+      </div>
+      <div id="abResults" class="table-container"></div>
+      <canvas id="chartAb" height="120"></canvas>
+      <h4>${t('Plan the next test')}</h4>
+      <div class="chart-controls">
+        <label>${t('Baseline rate (%)')} <input type="number" id="abBaseline" min="0" step="0.1" /></label>
+        <label>${t('Min. detectable lift (%)')} <input type="number" id="abMde" value="10" min="0" step="1" /></label>
+        <label>${t('Power')} <select id="abPower"><option value="0.8" selected>80%</option><option value="0.9">90%</option></select></label>
+        <label>${t('Visitors / day')} <input type="number" id="abDaily" min="0" step="100" /></label>
+      </div>
+      <p id="abPlan"></p>`;
+  }
+
+  function initAbTest() {
+    if (!abVariants) {
+      abVariants = [
+        { name: t('Control'), visitors: 10000, conversions: 520 },
+        { name: t('Variant {letter}', { letter: 'B' }), visitors: 10000, conversions: 580 },
+      ];
+    }
+    $('#abBaseline').value = +(abVariants[0].conversions / abVariants[0].visitors * 100 || 5).toFixed(2);
+    renderAbRows();
+    $('#abAdd').addEventListener('click', () => {
+      abVariants.push({ name: t('Variant {letter}', { letter: String.fromCharCode(65 + abVariants.length) }), visitors: 0, conversions: 0 });
+      renderAbRows();
+    });
+    $('#abFile').addEventListener('change', (e) => {
+      if (e.target.files[0]) importAbCsv(e.target.files[0]);
+      e.target.value = '';
+    });
+    $('#abConfidence').addEventListener('change', () => { renderAbResults(); renderAbPlan(); });
+    ['#abBaseline', '#abMde', '#abPower', '#abDaily'].forEach(sel => $(sel).addEventListener('input', renderAbPlan));
+  }
+
+  function renderAbRows() {
+    const html = [`<table class="data-table"><thead><tr><th>${t('Variant')}</th><th>${t('Visitors')}</th><th>${t('Conversions')}</th><th></th></tr></thead><tbody>`];
+    abVariants.forEach((v, i) => {
+      html.push(`<tr data-index="${i}">
+        <td><input data-field="name" value="${escapeHtml(v.name)}" /></td>
+        <td><input data-field="visitors" type="number" min="0" value="${v.visitors}" /></td>
+        <td><input data-field="conversions" type="number" min="0" value="${v.conversions}" /></td>
+        <td>${abVariants.length > 2 ? '<button class="mini-btn ghost" data-remove>&times;</button>' : ''}</td></tr>`);
+    });
+    html.push('</tbody></table>');
+    $('#abRows').innerHTML = html.join('');
+    $$('#abRows input').forEach(input => input.addEventListener('input', () => {
+      const v = abVariants[input.closest('tr').dataset.index];
+      v[input.dataset.field] = input.dataset.field === 'name' ? input.value : Math.max(0, Math.round(Number(input.value) || 0));
+      renderAbResults();
+    }));
+    $$('#abRows [data-remove]').forEach(btn => btn.addEventListener('click', () => {
+      abVariants.splice(btn.closest('tr').dataset.index, 1);
+      renderAbRows();
+    }));
+    renderAbResults();
+  }
+
+  function renderAbResults() {
+    const confidence = Number($('#abConfidence').value);
+    const invalid = abVariants.find(v => v.conversions > v.visitors);
+    const empty = abVariants.find(v => !(v.visitors > 0)); // a rate over zero visitors is NaN
+    if (invalid || empty) {
+      $('#abResults').innerHTML = `<div class="mapping-warning">${invalid
+        ? t('{name} has more conversions than visitors.', { name: escapeHtml(invalid.name) })
+        : empty === abVariants[0] ? t('Enter the control visitors to compare variants.') : t('Enter the visitors of {name}.', { name: escapeHtml(empty.name) })}</div>`;
+      return;
+    }
+    const results = Analytics.analyzeAbTest(abVariants, confidence);
+    const pct = (v, digits = 2) => (v * 100).toFixed(digits) + '%';
+    const level = pct(confidence, 0);
+    const interval = t('{level} interval', { level });
+    const html = [`<table class="data-table"><thead><tr><th>${t('Variant')}</th><th>${t('Conversion rate')}</th><th>${interval}</th>`,
+      `<th>${t('Lift vs control')}</th><th>${t('p-value')}</th><th>${t('P(beats control)')}</th></tr></thead><tbody>`];
+    results.forEach((r, i) => {
+      const lift = r.lift === undefined || r.lift === null ? '—' : (r.lift >= 0 ? '+' : '') + pct(r.lift, 1);
+      html.push(`<tr><td>${escapeHtml(r.name)}${i === 0 ? ` <span class="muted">${t('control')}</span>` : ''}</td>
+        <td>${pct(r.rate)}</td><td>${pct(r.ci.low)} – ${pct(r.ci.high)}</td>
+        <td class="${r.lift > 0 ? 'up' : r.lift < 0 ? 'down' : ''}">${lift}</td>
+        <td>${r.p === undefined ? '—' : r.p < 0.0001 ? '< 0.0001' : r.p.toFixed(4)}${r.significant ? ' <strong>✓</strong>' : ''}</td>
+        <td>${r.probBeat === undefined ? '—' : pct(r.probBeat, 1)}</td></tr>`);
+    });
+    html.push(`</tbody></table><div class="muted">${t('✓ significant at {level} (two-proportion z-test). P(beats control) uses uniform Beta priors.', { level })}</div>`);
+    $('#abResults').innerHTML = html.join('');
+
+    if (chartAb) chartAb.destroy();
+    chartAb = new Chart($('#chartAb').getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: results.map(r => r.name),
+        datasets: [
+          { label: interval, data: results.map(r => [r.ci.low * 100, r.ci.high * 100]), borderRadius: 4, maxBarThickness: 28 },
+          { label: t('Conversion rate'), type: 'scatter', data: results.map((r, i) => ({ x: r.rate * 100, y: i })), pointRadius: 5 },
+        ]
+      },
+      options: {
+        indexAxis: 'y',
+        responsive: true,
+        scales: { x: { title: { display: true, text: t('Conversion rate (%)') } } },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: (ctx) => ctx.datasetIndex === 0
+                ? `${interval}: ${ctx.raw[0].toFixed(2)}% – ${ctx.raw[1].toFixed(2)}%`
+                : `${t('Rate')}: ${ctx.raw.x.toFixed(2)}%`,
+            }
+          }
+        }
+      }
+    });
+    renderAbPlan();
+  }
+
+  function renderAbPlan() {
+    const baseline = Number($('#abBaseline').value) / 100;
+    const mde = Number($('#abMde').value) / 100;
+    const alpha = 1 - Number($('#abConfidence').value);
+    const power = Number($('#abPower').value);
+    const n = Analytics.sampleSize(baseline, mde, { alpha, power });
+    if (!n) {
+      $('#abPlan').textContent = t('Enter a baseline rate above 0% and a lift that keeps the rate below 100%.');
+      return;
+    }
+    const variants = abVariants.length;
+    const daily = Number($('#abDaily').value);
+    const current = Math.min(...abVariants.map(v => v.visitors));
+    const achieved = Analytics.testPower(current, baseline, mde, alpha);
+    let text = t('{n} visitors per variant ({total} total for {variants} variants) to detect a {lift}% relative lift with {power}% power.', {
+      n: fmtNumber(n), total: fmtNumber(n * variants), variants, lift: (mde * 100).toFixed(1), power: (power * 100).toFixed(0),
+    });
+    if (daily > 0) text += ' ' + t('About {days} days at {daily} visitors per day.', { days: fmtNumber(Math.ceil(n * variants / daily)), daily: fmtNumber(daily) });
+    if (achieved !== null) text += ' ' + t('The current test ({current} per variant) has {power}% power for that lift.', { current: fmtNumber(current), power: (achieved * 100).toFixed(0) });
+    $('#abPlan').textContent = text;
+  }
+
+  // One row per variant (visitors + conversions columns) or one row per visitor (a 0/1 converted column)
+  function importAbCsv(file) {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      complete: (res) => {
+        const headers = res.meta.fields || [];
+        const find = (re) => headers.find(h => re.test(normHeader(h)));
+        const variantCol = find(/^(variant|group|arm|bucket|name|test_group)$/) || headers[0];
+        const visitorsCol = find(/^(visitors|users|sessions|exposures|trials|participants|n)$/);
+        const conversionsCol = find(/^(conversions|converted|conversion|successes|purchases|orders)$/);
+        if (!conversionsCol) {
+          alert(t('Could not find a conversions column (e.g. "conversions" or "converted").'));
+          return;
+        }
+        const byName = new Map();
+        res.data.forEach(r => {
+          const name = String(r[variantCol] ?? '').trim();
+          if (!name) return;
+          const v = byName.get(name) || byName.set(name, { name, visitors: 0, conversions: 0 }).get(name);
+          const conv = DataPipeline.parseNumber(r[conversionsCol]);
+          v.visitors += visitorsCol ? DataPipeline.parseNumber(r[visitorsCol]) : 1;
+          v.conversions += visitorsCol ? conv : (conv > 0 ? 1 : 0);
+        });
+        if (byName.size < 2) {
+          alert(t('The CSV needs at least two variants.'));
+          return;
+        }
+        const empty = [...byName.values()].filter(v => !(v.visitors > 0)).map(v => v.name);
+        if (empty.length) {
+          alert(t('No visitors for {variants} — every variant needs at least one.', { variants: empty.join(', ') }));
+          return;
+        }
+        // keep a variant called control/A first when there is one
+        const list = [...byName.values()];
+        const control = list.findIndex(v => /^(control|a|baseline|ctrl)$/i.test(v.name));
+        if (control > 0) list.unshift(list.splice(control, 1)[0]);
+        abVariants = list;
+        $('#abBaseline').value = +(list[0].conversions / list[0].visitors * 100).toFixed(2);
+        renderAbRows();
+      },
+      error: (err) => alert(`${t('CSV parse error')}: ${err.message}`)
+    });
+  }
+
+  /* ========== CHART / REPORT EXPORT ========== */
+
+  const REPORT_TOP_N = 10;
+
+  function exportChart(name, format, scale) {
+    const chart = { category: chartCategory, time: chartTime, pivot: chartPivot }[name];
+    if (!chart) {
+      alert(t('Nothing to export yet.'));
+      return;
+    }
+    if (format === 'svg') {
+      downloadFile(chartToSvg(chart), 'image/svg+xml', `chart-${name}.svg`);
+      return;
+    }
+    snapshotChart(chart, scale).toBlob(blob => downloadFile(blob, 'image/png', `chart-${name}@${scale}x.png`));
+  }
+
+  // Redraw at `scale` device pixels per CSS pixel, copy onto a white canvas, then restore the chart
+  function snapshotChart(chart, scale) {
+    const ratio = chart.options.devicePixelRatio;
+    chart.options.devicePixelRatio = scale;
+    chart.resize();
+    const out = document.createElement('canvas');
+    out.width = chart.canvas.width;
+    out.height = chart.canvas.height;
+    const ctx = out.getContext('2d');
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, out.width, out.height);
+    ctx.drawImage(chart.canvas, 0, 0);
+    chart.options.devicePixelRatio = ratio;
+    chart.resize();
+    return out;
+  }
+
+  // Vector copy of a drawn chart, rebuilt from Chart.js's laid-out elements:
+  // axes, grid, bars, lines (with '-1' band fills), points and the legend
+  function chartToSvg(chart) {
+    const { width, height, chartArea: area } = chart;
+    const esc = (v) => escapeHtml(String(v));
+    const colour = (c) => (typeof c === 'string' ? c : '#888');
+    const out = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Inter, Arial, sans-serif" font-size="11">`,
+      `<rect width="${width}" height="${height}" fill="#fff"/>`];
+
+    Object.values(chart.scales).forEach(scale => {
+      if (!scale.options.display) return;
+      scale.ticks.forEach((tick, i) => {
+        const label = Array.isArray(tick.label) ? tick.label.join(' ') : tick.label;
+        const pos = scale.getPixelForTick(i);
+        if (scale.isHorizontal()) {
+          out.push(`<text x="${pos}" y="${scale.top + 14}" text-anchor="middle" fill="#666">${esc(label)}</text>`);
+        } else {
+          if (scale.options.grid?.drawOnChartArea !== false) {
+            out.push(`<line x1="${area.left}" x2="${area.right}" y1="${pos}" y2="${pos}" stroke="#e2e8f0"/>`);
+          }
+          const left = scale.position === 'left';
+          out.push(`<text x="${left ? scale.right - 6 : scale.left + 6}" y="${pos + 4}" text-anchor="${left ? 'end' : 'start'}" fill="#666">${esc(label)}</text>`);
+        }
+      });
+    });
+
+    const points = (meta) => meta.data.filter(el => !el.skip).map(el => `${el.x},${el.y}`);
+    chart.data.datasets.forEach((ds, i) => {
+      if (!chart.isDatasetVisible(i)) return;
+      const meta = chart.getDatasetMeta(i);
+      if (meta.type === 'bar') {
+        meta.data.forEach(el => {
+          const { x, y, base, width: w, height: h, horizontal } = el.getProps(['x', 'y', 'base', 'width', 'height', 'horizontal'], true);
+          if (x === null || y === null || Number.isNaN(x) || Number.isNaN(y)) return;
+          const rect = horizontal
+            ? `x="${Math.min(x, base)}" y="${y - h / 2}" width="${Math.abs(x - base)}" height="${h}"`
+            : `x="${x - w / 2}" y="${Math.min(y, base)}" width="${w}" height="${Math.abs(base - y)}"`;
+          out.push(`<rect ${rect} fill="${colour(el.options.backgroundColor)}"/>`);
+        });
+        return;
+      }
+      if (ds.fill === '-1' && i > 0) {
+        const below = chart.getDatasetMeta(i - 1).data.filter(el => !el.skip).reverse().map(el => `${el.x},${el.y}`);
+        out.push(`<polygon points="${points(meta).concat(below).join(' ')}" fill="${colour(ds.backgroundColor)}" stroke="none"/>`);
+      }
+      if (meta.type === 'line' && ds.showLine !== false && (ds.borderWidth ?? 3) > 0) {
+        const dash = ds.borderDash?.length ? ` stroke-dasharray="${ds.borderDash.join(' ')}"` : '';
+        out.push(`<polyline points="${points(meta).join(' ')}" fill="none" stroke="${colour(meta.dataset?.options.borderColor || ds.borderColor)}" stroke-width="2"${dash}/>`);
+      }
+      meta.data.forEach(el => {
+        const r = el.options.radius;
+        if (el.skip || !r) return;
+        out.push(`<circle cx="${el.x}" cy="${el.y}" r="${r}" fill="${colour(el.options.backgroundColor)}" stroke="${colour(el.options.borderColor)}"/>`);
+      });
+    });
+
+    const legend = chart.legend;
+    if (legend?.options.display && legend.legendItems) {
+      legend.legendItems.forEach((item, i) => {
+        const box = legend.legendHitBoxes[i];
+        if (!box) return;
+        out.push(`<rect x="${box.left}" y="${box.top + 2}" width="30" height="10" fill="${colour(item.fillStyle)}" stroke="${colour(item.strokeStyle)}"/>`);
+        out.push(`<text x="${box.left + 36}" y="${box.top + 11}" fill="#333">${esc(item.text)}</text>`);
+      });
+    }
+    out.push('</svg>');
+    return out.join('\n');
+  }
+
+  function describeFilters() {
+    const list = filterState.conditions.map(c => `${t(FILTER_LABELS[c.type])}: ${describeCondition(c)}`);
+    const joined = list.join(` ${t(filterState.mode === 'or' ? 'OR' : 'AND')} `);
+    const dates = dateFrom.value || dateTo.value ? `${t('Dates')}: ${dateFrom.value || '…'} – ${dateTo.value || '…'}` : t('All dates');
+    return [dates, joined].filter(Boolean);
+  }
+
+  // Sum sales/orders per key, largest sales first
+  function topBy(rows, key, n) {
+    const groups = new Map();
+    let total = 0;
+    rows.forEach(r => {
+      const k = r[key] || t('(none)');
+      const g = groups.get(k) || groups.set(k, { key: k, sales: 0, orders: 0 }).get(k);
+      g.sales += Number(r.sales) || 0;
+      g.orders += Number(r.orders) || 0;
+      total += Number(r.sales) || 0;
+    });
+    return [...groups.values()].sort((a, b) => b.sales - a.sales).slice(0, n).map(g => ({ ...g, share: total ? g.sales / total : 0 }));
+  }
+
+  // Self-contained page (inline CSS, charts as PNG data URLs) opened in a new tab, ready to print or save as PDF.
+  // Falls back to downloading the HTML when pop-ups are blocked.
+  function generateReport() {
+    if (!dashboardView) {
+      alert(t('Load some data first.'));
+      return;
+    }
+    const rows = getFilteredData();
+    const dataset = activeDatasetId === SAMPLE_ID ? t('Sample data') : (datasetList.find(d => d.id === activeDatasetId)?.name || t('Uploaded data'));
+    const stamp = new Date();
+    const kpis = $$('.kpi').map(card => `<div class="kpi"><div class="t">${escapeHtml(card.querySelector('.kpi-title').textContent)}</div>
+      <div class="v">${escapeHtml(card.querySelector('.kpi-value').textContent)}</div>
+      <div class="d">${escapeHtml(card.querySelector('.kpi-delta')?.textContent || '')}</div></div>`).join('');
+    const charts = [['Sales by Category', chartCategory], ['Sales over Time', chartTime]]
+      .filter(([, chart]) => chart)
+      .map(([title, chart]) => `<figure><figcaption>${t(title)}</figcaption><img src="${snapshotChart(chart, 2).toDataURL('image/png')}" alt="${t(title)}"></figure>`)
+      .join('');
+    const table = (title, label, list) => `<h2>${title}</h2><table><thead><tr><th>${t(label)}</th><th>${t('Sales')}</th><th>${t('Share')}</th><th>${t('Orders')}</th></tr></thead><tbody>` +
+      list.map(g => `<tr><td>${escapeHtml(String(g.key))}</td><td>${fmtCurrency(g.sales.toFixed(2))}</td><td>${(g.share * 100).toFixed(1)}%</td><td>${fmtNumber(g.orders)}</td></tr>`).join('') +
+      '</tbody></table>';
+    const html = `<!doctype html>
+<html lang="${language}"><head><meta charset="utf-8"><title>${t('Sales report')} — ${escapeHtml(stamp.toLocaleDateString(locale()))}</title>
+<style>
+  body { font-family: Inter, Arial, sans-serif; color:#1a202c; max-width:900px; margin:24px auto; padding:0 16px; }
+  h1 { font-size:1.5rem; margin-bottom:4px; } h2 { font-size:1.1rem; margin:24px 0 8px; }
+  .meta { color:#4a5568; font-size:0.9rem; } .meta li { margin:2px 0; }
+  .kpis { display:flex; gap:12px; margin-top:16px; } .kpi { flex:1; border:1px solid #e2e8f0; border-radius:8px; padding:10px; }
+  .kpi .t { font-size:0.8rem; color:#4a5568; } .kpi .v { font-size:1.4rem; font-weight:700; } .kpi .d { font-size:0.8rem; color:#4a5568; }
+  figure { margin:16px 0; break-inside:avoid; } figcaption { font-weight:600; margin-bottom:6px; } figure img { width:100%; }
+  table { width:100%; border-collapse:collapse; font-size:0.9rem; break-inside:avoid; } th, td { text-align:left; padding:4px 8px; border-bottom:1px solid #e2e8f0; }
+  .print { margin-top:16px; padding:6px 14px; } @media print { .print { display:none; } body { margin:0; } }
+</style></head><body>
+<h1>${t('Sales report')}</h1>
+<ul class="meta">
+  <li>${escapeHtml(t('Generated {date}', { date: stamp.toLocaleString(locale()) }))}</li>
+  <li>${escapeHtml(t('Dataset: {name} ({count} rows in view)', { name: dataset, count: fmtNumber(rows.length) }))}</li>
+  ${describeFilters().map(f => `<li>${escapeHtml(f)}</li>`).join('')}
+  ${dashboardView.cmp ? `<li>${escapeHtml(t('Compared with the {label}', { label: t(dashboardView.cmp.label) }))}</li>` : ''}
+</ul>
+<div class="kpis">${kpis}</div>
+${charts}
+${table(t('Top {n} categories', { n: REPORT_TOP_N }), 'Category', topBy(rows, 'category', REPORT_TOP_N))}
+${table(t('Top {n} customers', { n: REPORT_TOP_N }), 'Customer', topBy(rows, 'customer_id', REPORT_TOP_N))}
+<button class="print" onclick="window.print()">${t('Print / Save as PDF')}</button>
+</body></html>`;
+    const win = window.open('', '_blank');
+    if (!win) {
+      downloadFile(html, 'text/html', `sales-report-${stamp.toISOString().slice(0, 10)}.html`);
+      return;
+    }
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+  }
+
   /* ========== MODAL / PROJECT DEMO ========== */
 
   function openModalDemo(demo) {
@@ -419,16 +3051,17 @@ function renderTable(rows) {
                JavaScript (Chart.js), PapaParse for CSV parsing.</p>`;
       html += '<ul><li>Features: KPI cards, filters, charts, CSV export.</li><li>Business impact: quicker insights, better category prioritisation.</li></ul>';
     } else if (demo === 'seg') {
-      html += `<p><strong>Customer Segmentation</strong> — RFM approach: Recency, Frequency, Monetary.
-               Clustering performed in Python (scikit-learn). Visualisations and segment descriptions included.</p>`;
+      html = segmentationHtml();
     } else if (demo === 'ab') {
-      html += `<p><strong>A/B Test Analysis</strong> — Comparison of conversion rates, confidence intervals,
-               and sample size considerations. Includes SQL queries to pull experiment data.</p>`;
+      html = abTestHtml();
     } else {
       html += '<p>Project details coming soon.</p>';
     }
     content.innerHTML = html;
+    modal.querySelector('.modal-inner').classList.toggle('wide', demo === 'seg' || demo === 'ab');
     modal.classList.remove('hidden');
+    if (demo === 'seg') renderSegmentation();
+    if (demo === 'ab') initAbTest();
   }
 
   function closeModal() {
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./load');
+
+const { Analytics } = loadModules('analytics.js');
+
+// Noise-free linear trend plus a repeating seasonal pattern
+function trendSeason(n, trend, pattern) {
+  return Array.from({ length: n }, (_, t) => 100 + trend * t + pattern[t % pattern.length]);
+}
+
+test('Holt-Winters forecasts a noise-free trend + season series exactly', () => {
+  const pattern = [10, -5, 20, -25];
+  [2, 5].forEach(trend => {
+    const values = trendSeason(24, trend, pattern);
+    const { point } = Analytics.forecastSeries(values, 4, 'holt-winters', 4);
+    const expected = trendSeason(28, trend, pattern).slice(24);
+    point.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-6, `trend ${trend}, step ${i + 1}: ${v} vs ${expected[i]}`));
+  });
+});
+
+test('Holt-Winters backtest error is negligible on a trend + season series', () => {
+  const values = trendSeason(24, 2, [10, -5, 20, -25]);
+  const { mape } = Analytics.backtest(values, 4, 'holt-winters', 4);
+  assert.ok(mape < 0.001, `MAPE ${mape}`);
+});
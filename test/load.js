@@ -0,0 +1,16 @@
+/* load.js — runs the browser modules (they attach to `self`) under Node for the tests.
+   Run the tests with: node --test test/*.test.js
+*/
+const fs = require('fs');
+const path = require('path');
+
+function loadModules(...files) {
+  const self = {};
+  files.forEach(f => {
+    const code = fs.readFileSync(path.join(__dirname, '..', f), 'utf8');
+    new Function('self', code)(self);
+  });
+  return self;
+}
+
+module.exports = { loadModules };
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModules } = require('./load');
+
+const { DataPipeline } = loadModules('analytics.js', 'pipeline.js');
+
+test('normalizeCurrency reads the Uzbek soʻm in every apostrophe and script', () => {
+  ["so'm", 'so‘m', 'so’m', 'soʻm', 'soʼm', 'SO`M', 'сўм', 'СЎМ', 'сум', 'uzs'].forEach(spelling => {
+    assert.strictEqual(DataPipeline.normalizeCurrency(spelling), 'UZS', spelling);
+  });
+});
+
+test('normalizeCurrency only accepts ISO 4217 codes besides the known signs', () => {
+  assert.strictEqual(DataPipeline.normalizeCurrency('eur'), 'EUR');
+  assert.strictEqual(DataPipeline.normalizeCurrency('$'), 'USD');
+  assert.strictEqual(DataPipeline.normalizeCurrency('abc'), '');
+  assert.strictEqual(DataPipeline.normalizeCurrency('pcs'), '');
+  assert.strictEqual(DataPipeline.normalizeCurrency(''), '');
+});
+
+test('standardizeRows takes the currency written next to the amount', () => {
+  const mapping = { date: 'date', category: '', sales: 'sales', orders: '', customer_id: '', currency: '' };
+  const formats = { date: 'iso', number: 'dot', currency: 'USD' };
+  const raw = [
+    { date: '2025-01-02', sales: '1 200 000 so‘m' },
+    { date: '2025-01-03', sales: '€15' },
+    { date: '2025-01-04', sales: '15 abc' },
+  ];
+  const { rows } = DataPipeline.standardizeRows(raw, mapping, formats);
+  assert.deepStrictEqual(rows.map(r => [r.currency, r.sales]), [['UZS', 1200000], ['EUR', 15], ['USD', 15]]);
+});
+
+test('standardize is refused until a file has been parsed', () => {
+  const replies = [];
+  const handle = DataPipeline.createPipeline(msg => replies.push(msg));
+  handle({ type: 'standardize', id: 1, mapping: { date: 'date', sales: 'sales' }, formats: { date: 'auto', number: 'auto' } });
+  assert.strictEqual(replies[0].type, 'error');
+  assert.strictEqual(replies[0].id, 1);
+});
+
+test('pivotLines ignores field keys inherited from Object.prototype', () => {
+  const rows = [{ date: '2025-01-02', category: 'A', sales: 10, orders: 1, customer_id: 'c1', currency: 'USD' }];
+  const spec = { rows: ['constructor'], cols: ['__proto__'], value: 'sales', agg: 'sum', display: 'value', calcFields: [] };
+  assert.strictEqual(DataPipeline.pivotLines(rows, spec), null);
+  const lines = DataPipeline.pivotLines(rows, { ...spec, rows: ['toString', 'category'] }).lines;
+  assert.deepStrictEqual(lines[0].key, ['A']);
+});
+
+test('standardizeRows does not flag every row when the date or sales column is not mapped', () => {
+  const mapping = { date: '', category: 'category', sales: '', orders: '', customer_id: '', currency: '' };
+  const { rows, quality } = DataPipeline.standardizeRows([{ category: 'A' }, { category: 'B' }], mapping, { date: 'iso', number: 'dot', currency: 'USD' });
+  assert.strictEqual(quality.issues.badSales.length, 0);
+  assert.strictEqual(quality.issues.badDate.length, 0);
+  assert.deepStrictEqual(rows.map(r => r.sales), [0, 0]);
+});
@@ -0,0 +1,5 @@
+/* worker.js — runs the data pipeline (pipeline.js, with analytics.js for pivots and cohorts) off the main thread */
+importScripts('https://cdn.jsdelivr.net/npm/papaparse@5.4.1/papaparse.min.js', 'analytics.js', 'pipeline.js');
+
+const handle = DataPipeline.createPipeline((msg) => self.postMessage(msg));
+self.addEventListener('message', (e) => handle(e.data));